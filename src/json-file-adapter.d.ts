@@ -0,0 +1,24 @@
+/**
+ * Type definitions for tiny-idb-helper/json-file-adapter
+ * Node.js adapter persisting a store in a JSON file
+ */
+
+import { MemoryAdapter } from './tiny-idb-helper';
+
+export interface JsonFileAdapterOptions {
+  /** Path of the JSON file, created on the first write */
+  path: string;
+}
+
+/**
+ * Keeps the records of one store in a JSON file, replaced atomically on every committed write.
+ * The file must not be shared with other processes or adapters.
+ */
+export class JsonFileAdapter extends MemoryAdapter {
+  constructor(options: JsonFileAdapterOptions);
+  readonly name: 'json-file';
+  /** Absolute path of the file */
+  readonly path: string;
+}
+
+export default JsonFileAdapter;
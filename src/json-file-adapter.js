@@ -0,0 +1,140 @@
+/**
+ * Tiny IndexedDB Helper - JSON file adapter for Node.js
+ * Persists a store in a JSON file, replaced atomically on every committed write
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MemoryAdapter, ERROR_CODES } = require('./tiny-idb-helper.js');
+
+// Identifies files written by JsonFileAdapter
+const FILE_FORMAT = 'tiny-idb-helper-file';
+const FILE_VERSION = 1;
+
+// File system errors reported as QUOTA_EXCEEDED: disk full, disk quota exceeded
+const QUOTA_ERRORS = ['ENOSPC', 'EDQUOT'];
+
+/**
+ * Adapter keeping the records of one store in a JSON file. Records are held in memory and the
+ * whole file is rewritten on commit: to a temporary file first, which is flushed to disk and
+ * then renamed over the old one, so readers and crashes only ever see a complete file.
+ * The file must not be shared with other processes or adapters.
+ */
+class JsonFileAdapter extends MemoryAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.path - Path of the JSON file, created on the first write
+   */
+  constructor({ path: filePath } = {}) {
+    super();
+    if (typeof filePath !== 'string' || filePath === '') {
+      throw new Error('Invalid configuration: path must be a non-empty string');
+    }
+
+    this.name = 'json-file';
+    this.textOnly = true;
+    this.path = path.resolve(filePath);
+  }
+
+  /**
+   * Read the records, schema version and metadata from the file, a missing file is an empty store
+   * @returns {Promise<void>}
+   */
+  async _load() {
+    let text;
+    try {
+      text = await fs.promises.readFile(this.path, 'utf8');
+    } catch (readError) {
+      if (readError.code === 'ENOENT') {
+        this.records = new Map();
+        this.schemaVersion = 0;
+        this.meta = new Map();
+        return;
+      }
+      throw this._error(ERROR_CODES.OPEN_FAILURE, `Failed to read ${this.path}`, readError);
+    }
+
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch (parseError) {
+      throw this._error(ERROR_CODES.OPEN_FAILURE, `Failed to parse ${this.path}`, parseError);
+    }
+
+    if (typeof file !== 'object' || file === null || file.format !== FILE_FORMAT ||
+        file.version !== FILE_VERSION || typeof file.entries !== 'object' || file.entries === null) {
+      throw this._error(ERROR_CODES.OPEN_FAILURE, `Failed to read ${this.path}`, new Error('not a tiny-idb-helper file'));
+    }
+
+    this.records = new Map(Object.entries(file.entries));
+    this.schemaVersion = Number.isInteger(file.schemaVersion) ? file.schemaVersion : 0;
+    this.meta = new Map(typeof file.meta === 'object' && file.meta !== null ? Object.entries(file.meta) : []);
+  }
+
+  /**
+   * Write the records including the transaction's changes, then make them visible
+   * @param {MemoryTransaction} tx - The transaction
+   * @returns {Promise<void>}
+   */
+  async _commit(tx) {
+    const records = new Map(this.records);
+    this._applyJournal(records, tx);
+    const schemaVersion = tx.schemaVersion !== undefined ? tx.schemaVersion : this.schemaVersion;
+    const meta = new Map([...this.meta, ...tx.metaWrites]);
+
+    await this._writeFile(records, schemaVersion, meta);
+    this.records = records;
+    this.schemaVersion = schemaVersion;
+    this.meta = meta;
+  }
+
+  /**
+   * Replace the file atomically
+   * @param {Map} records - The records
+   * @param {number} schemaVersion - The schema version
+   * @param {Map} meta - The store metadata
+   * @returns {Promise<void>}
+   */
+  async _writeFile(records, schemaVersion, meta) {
+    const text = JSON.stringify({
+      format: FILE_FORMAT,
+      version: FILE_VERSION,
+      schemaVersion,
+      meta: Object.fromEntries(meta),
+      entries: Object.fromEntries(records)
+    });
+    const tempPath = `${this.path}.${process.pid}.tmp`;
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+      const handle = await fs.promises.open(tempPath, 'w');
+      try {
+        await handle.writeFile(text, 'utf8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.promises.rename(tempPath, this.path);
+    } catch (writeError) {
+      await fs.promises.rm(tempPath, { force: true }).catch(() => {});
+      const code = QUOTA_ERRORS.includes(writeError.code) ? ERROR_CODES.QUOTA_EXCEEDED : ERROR_CODES.TRANSACTION_FAILURE;
+      throw this._error(code, `Failed to write ${this.path}`, writeError);
+    }
+  }
+
+  /**
+   * Build an error with a code
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - What failed
+   * @param {Error} cause - The underlying error
+   * @returns {Error}
+   */
+  _error(code, message, cause) {
+    const error = new Error(`${message}: ${cause.message}`);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = JsonFileAdapter;
+module.exports.JsonFileAdapter = JsonFileAdapter;
@@ -5,15 +5,351 @@
 
 export interface IDBHConfig {
   dbName?: string;
+  storeName?: string;
+  /** Milliseconds between automatic purges of expired entries, 0 disables (default: 0) */
+  sweepInterval?: number;
+  /** Share change events with other tabs via BroadcastChannel (default: false) */
+  broadcast?: boolean;
+  /** 'json' (default) or 'structured' to store values via structured clone, preserving Date, Map, Set, Blob, typed arrays... */
+  serialization?: 'json' | 'structured';
+  /** Custom value codec, replaces the serialization mode */
+  serializer?: Serializer | null;
+  /** Data migrations in ascending version order, each runs once per store */
+  migrations?: Migration[];
+  /** Move data left by the old ES module build, one object store per key, into the store (default: false) */
+  migrateLegacyLayout?: boolean;
+  /** Storage backends or adapters to try in order (default: ['indexeddb', 'memory']) */
+  fallbacks?: Array<Backend | StorageAdapter>;
+  /** Encrypt values at rest with AES-GCM via WebCrypto (default: null) */
+  encryption?: EncryptionOptions | null;
+  /** Compress large values with CompressionStream where available (default: null) */
+  compression?: CompressionOptions | null;
+  /** Evict entries beyond this many (default: null, unbounded) */
+  maxEntries?: number | null;
+  /** Evict entries beyond this many approximate bytes, counted like usage() (default: null, unbounded) */
+  maxBytes?: number | null;
+  /** Evict the least recently ('lru', default) or least frequently ('lfu') used entries first */
+  eviction?: 'lru' | 'lfu';
+  /** Called for each evicted entry once the write evicting it has committed */
+  onEvict?: ((entry: { key: string; value: any }) => void) | null;
+  /** Reads of entries that cannot be decoded reject ('throw', default), return null ('null') or remove the entry ('remove') */
+  onCorrupt?: 'throw' | 'null' | 'remove';
+}
+
+export interface EncryptionOptions {
+  /** AES-GCM key, or a passphrase the key is derived from with PBKDF2 */
+  key: CryptoKey | string;
+}
+
+export interface CompressionOptions {
+  /** Values with at least this many serialized bytes are compressed (default: 1024) */
+  threshold?: number;
+}
+
+export interface CompressionStats {
+  /** Live entries in the store */
+  entries: number;
+  /** Entries stored compressed */
+  compressedEntries: number;
+  /** Serialized size of the compressed entries */
+  originalBytes: number;
+  /** Compressed size of the compressed entries */
+  compressedBytes: number;
+  /** originalBytes - compressedBytes */
+  savedBytes: number;
+}
+
+export interface StorageUsage {
+  /** Approximate bytes per key, key and stored record included */
+  keys: Record<string, number>;
+  /** Sum of keys */
+  total: number;
+  /** navigator.storage.estimate() for the whole origin, null where unavailable */
+  estimate: { usage?: number; quota?: number } | null;
+}
+
+export type Backend = 'indexeddb' | 'localStorage' | 'sessionStorage' | 'memory';
+
+/** Stored record: JSON text, or an envelope holding encoded data and the expiry timestamp */
+export type StoredRecord = string | {
+  data: any;
+  encoding?: 'structured' | 'custom';
+  expiresAt?: number;
+  /** Set on compressed records, data is then the compressed bytes, base64 in text-only adapters */
+  compression?: { format: 'gzip'; size: number; compressedSize: number; binary?: boolean };
+  /** Set on encrypted records, data is then the base64 ciphertext */
+  encryption?: { iv: string; salt?: string; binary?: boolean };
+};
+
+/** Access statistics of an entry in a bounded store */
+export interface AccessStats {
+  /** Last read or write */
+  accessedAt: number;
+  /** Number of reads and writes */
+  hits: number;
+  /** Approximate size of key and record in bytes */
+  size: number;
+}
+
+export interface KeyRange {
+  /** Lowest key, unrestricted if undefined */
+  lower?: string;
+  /** Highest key, unrestricted if undefined */
+  upper?: string;
+  /** Exclude lower itself (default: false) */
+  lowerOpen?: boolean;
+  /** Exclude upper itself (default: false) */
+  upperOpen?: boolean;
+}
+
+export interface AdapterTransaction {
+  get(key: string): Promise<StoredRecord | undefined>;
+  put(key: string, record: StoredRecord): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+  /** Keys within range in ascending order */
+  keys(range?: KeyRange): Promise<string[]>;
+  count(range?: KeyRange): Promise<number>;
+  /** Optional: keys of records whose expiresAt is at or before now, without reading every record */
+  expiredKeys?(now: number): Promise<string[]>;
+  /** Optional: [key, record] pairs within range in key order that pass filter, stopping after limit pairs */
+  scan?(range: KeyRange | undefined, options: ScanOptions): Promise<Array<[string, StoredRecord]>>;
+  /** Needed by bounded stores: access statistics, dropped by delete() and clear() */
+  getAccess?(key: string): Promise<AccessStats | undefined>;
+  putAccess?(key: string, access: AccessStats): Promise<void>;
+  /** Number of keys with access statistics and their total size, recount recomputes running totals */
+  accessTotals?(options?: { recount?: boolean }): Promise<{ count: number; bytes: number }>;
+  /** Visit access statistics least valuable first, until visit returns false */
+  walkAccess?(policy: 'lru' | 'lfu', visit: (key: string, access: AccessStats) => boolean | void): Promise<void>;
+  /** Optional: store-level metadata, kept by clear() */
+  getMeta?(name: string): Promise<string | undefined>;
+  putMeta?(name: string, value: string): Promise<void>;
+}
+
+export interface ScanOptions {
+  /** Descending key order (default: false) */
+  reverse?: boolean;
+  /** Maximum number of pairs */
+  limit?: number;
+  /** Only records for which it returns true */
+  filter?(record: StoredRecord): boolean;
+}
+
+export interface AdapterContext {
+  dbName: string;
+  storeName: string;
+  /** Schema version the store must reach */
+  schemaVersion: number;
+  /** Whether the store is bounded and its transactions need access statistics */
+  accessStatistics: boolean;
+  /** Move data of the old ES module build into the store, only used by the IndexedDB adapter */
+  migrateLegacyLayout: boolean;
+  /** Runs the pending migrations inside tx, resolves to the version to store with the data */
+  upgrade(tx: AdapterTransaction, oldVersion: number): Promise<number>;
+  /** Call while other connections keep the storage from opening */
+  onBlocked(): void;
+  /** Call when the connection was closed from outside, the store reopens on its next call */
+  onClose(reason?: 'versionchange' | 'lost'): void;
+}
+
+/**
+ * Base class of storage backends. Subclasses implement open() and transaction(),
+ * the single-operation methods run in a transaction of their own.
+ */
+export class StorageAdapter {
+  /** Reported by getBackend() */
+  name: string;
+  /** Whether record data must be a string */
+  textOnly: boolean;
+  /** Connect and bring the store to context.schemaVersion, rejects with NOT_SUPPORTED when unavailable */
+  open(context: AdapterContext): Promise<void>;
+  /** Run callback all or nothing; it may only await operations of tx, which offers metadata with { meta: true } */
+  transaction<T>(mode: 'readonly' | 'readwrite', callback: (tx: AdapterTransaction) => T | Promise<T>,
+    options?: { meta?: boolean }): Promise<T>;
+  close(): void;
+  get(key: string): Promise<StoredRecord | undefined>;
+  put(key: string, record: StoredRecord): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+  keys(range?: KeyRange): Promise<string[]>;
+  count(range?: KeyRange): Promise<number>;
+}
+
+/** Keeps records in memory, subclasses persist them by overriding _load(), _read(), _readKeys() and _commit() */
+export class MemoryAdapter extends StorageAdapter {}
+
+/** Persists records in localStorage or sessionStorage */
+export class WebStorageAdapter extends MemoryAdapter {
+  constructor(storageName: 'localStorage' | 'sessionStorage');
+}
+
+/** Stores records in an IndexedDB object store */
+export class IndexedDBAdapter extends StorageAdapter {}
+
+export interface MigrationContext {
+  /** Schema version before this step, 0 for a new store */
+  oldVersion: number;
+  /** Schema version of this step */
+  version: number;
+  getItem<T = any>(key: string): Promise<T | null>;
+  setItem(key: string, value: any, options?: SetItemOptions): Promise<void>;
+  removeItem(key: string): Promise<void>;
+  has(key: string): Promise<boolean>;
+  keys(): Promise<string[]>;
+}
+
+export interface Migration {
+  /** Positive integer schema version reached by this step */
+  version: number;
+  /** Runs inside the upgrade transaction, may only await operations of ctx */
+  migrate(ctx: MigrationContext): void | Promise<void>;
+}
+
+export interface Serializer {
+  /** Synchronously encode a value, the result must be storable by IndexedDB (string, Uint8Array, ...) */
+  serialize(value: any): any;
+  /** Synchronously decode a value produced by serialize() */
+  deserialize(data: any): any;
+}
+
+export interface SetItemOptions {
+  /** Time to live in milliseconds */
+  ttl?: number;
+  /** Absolute expiry time as timestamp in milliseconds or Date */
+  expiresAt?: number | Date;
+}
+
+export interface ChangeEvent<T = any> {
+  /** The changed key */
+  key: string;
+  /** Value before the change, null if the key did not exist */
+  oldValue: T | null;
+  /** Value after the change, null if the key was removed */
+  newValue: T | null;
+  /** Kind of mutation, 'evict' for entries a bounded store evicted */
+  type: 'set' | 'remove' | 'clear' | 'evict';
+  /** True when the change was made in another tab */
+  remote?: boolean;
+}
+
+export type ChangeListener<T = any> = (event: ChangeEvent<T>) => void;
+
+export interface LifecycleEvent {
+  /**
+   * 'open' once a backend is connected, 'blocked' while other connections keep IndexedDB from
+   * upgrading or deleting the database, 'closed' when the connection went away, 'fallback' when
+   * a backend failed and the next one is tried
+   */
+  type: 'open' | 'blocked' | 'closed' | 'fallback';
+  /** Name of the backend or adapter */
+  backend: Backend | string;
+  /** For 'closed': close() was called, another connection upgraded or deleted the database, or the connection was lost */
+  reason?: 'close' | 'versionchange' | 'lost';
+  /** For 'fallback': why the backend failed */
+  error?: IDBHError;
+}
+
+export type LifecycleListener = (event: LifecycleEvent) => void;
+
+export interface SnapshotEntry {
+  key: string;
+  /** Stored data: JSON text (default), structured value or custom codec output, encoded to survive JSON from version 2 */
+  data: any;
+  encoding?: 'structured' | 'custom';
+  /** Expiry timestamp in milliseconds */
+  expiresAt?: number;
+}
+
+export interface Snapshot {
+  format: 'tiny-idb-helper';
+  /** exportAll() produces version 2, importAll() also accepts version 1 */
+  version: 1 | 2;
+  dbName: string;
+  storeName: string;
+  /** ISO 8601 creation time */
+  createdAt: string;
+  entries: SnapshotEntry[];
+}
+
+export interface ImportOptions {
+  /** 'merge' keeps other entries, 'replace' removes them (default: 'merge') */
+  mode?: 'merge' | 'replace';
+}
+
+export interface KeyQuery {
+  /** Only keys starting with prefix */
+  prefix?: string;
+  /** Lowest key, inclusive */
+  start?: string;
+  /** Highest key, exclusive */
+  end?: string;
+  /** Maximum number of results */
+  limit?: number;
+  /** Descending key order (default: false) */
+  reverse?: boolean;
+}
+
+export interface GetItemOptions<T = any> {
+  /** Returned when the key is missing (default: null) */
+  default?: T;
+}
+
+export interface Entry<T = any> {
+  /** Whether the key exists, also when its value is null */
+  exists: boolean;
+  /** The stored value, null when the key is missing */
+  value: T | null;
+}
+
+export interface IterateOptions extends KeyQuery {
+  /** Entries read per transaction (default: 100) */
+  pageSize?: number;
+}
+
+export interface TransactionContext {
+  getItem<T = any>(key: string, options?: GetItemOptions<T>): Promise<T | null>;
+  setItem(key: string, value: any, options?: SetItemOptions): Promise<void>;
+  removeItem(key: string): Promise<void>;
+  /** Increment a numeric value, keeping its expiry */
+  increment(key: string, amount?: number): Promise<number>;
 }
 
 export interface IDBHError extends Error {
   code: string;
+  /** Set when stored data cannot be decoded, see the onCorrupt option */
+  corrupt?: boolean;
+}
+
+export interface VerifyOptions {
+  /** Namespace to move corrupt entries to */
+  quarantine?: string;
+}
+
+export interface VerifyReport {
+  /** Number of entries checked */
+  checked: number;
+  /** Entries whose stored data cannot be decoded */
+  corrupt: Array<{ key: string; code: string; message: string }>;
+  /** Entries that cannot be read for other reasons, e.g. DECRYPTION_FAILURE with a wrong key, left in place */
+  unreadable: Array<{ key: string; code: string; message: string }>;
+  /** Number of corrupt entries moved to the quarantine namespace */
+  quarantined: number;
+}
+
+/** Value of a quarantined entry */
+export interface QuarantinedEntry {
+  /** Key the entry was stored under */
+  key: string;
+  /** The undecodable data, base64 if binary */
+  data: any;
+  binary: boolean;
+  code: string;
+  message: string;
 }
 
 export interface TinyIDBHelper {
   /**
-   * Configure the database name
+   * Configure the database and object store names
    * @param config Configuration options
    */
   configure(config?: IDBHConfig): void;
@@ -21,17 +357,26 @@ export interface TinyIDBHelper {
   /**
    * Get item from storage
    * @param key The key to retrieve
-   * @returns Promise resolving to the stored value or null if not found
+   * @param options Read options
+   * @returns Promise resolving to the stored value, or the default (null) if not found
    */
-  getItem<T = any>(key: string): Promise<T | null>;
+  getItem<T = any>(key: string, options?: GetItemOptions<T>): Promise<T | null>;
+
+  /**
+   * Get item from storage, telling a missing key apart from a stored null
+   * @param key The key to retrieve
+   * @returns Promise resolving to whether the key exists and its value
+   */
+  getEntry<T = any>(key: string): Promise<Entry<T>>;
 
   /**
    * Set item in storage
    * @param key The key to store under
    * @param value The value to store (will be JSON serialized)
+   * @param options Expiry options, expired entries are treated as absent
    * @returns Promise resolving when the operation completes
    */
-  setItem(key: string, value: any): Promise<void>;
+  setItem(key: string, value: any, options?: SetItemOptions): Promise<void>;
 
   /**
    * Remove item from storage
@@ -47,6 +392,44 @@ export interface TinyIDBHelper {
    */
   nullify(key: string): Promise<void>;
 
+  /**
+   * Set multiple items in a single transaction, all or nothing
+   * @param data Object or iterable of [key, value] pairs
+   * @param options Expiry options applied to every item
+   * @returns Promise resolving when the operation completes
+   */
+  setMany(data: Record<string, any> | Iterable<[string, any]>, options?: SetItemOptions): Promise<void>;
+
+  /**
+   * Get multiple items in a single transaction
+   * @param keys The keys to retrieve
+   * @returns Promise resolving to values in the order of keys, null for missing keys
+   */
+  getMany<T = any>(keys: string[]): Promise<Array<T | null>>;
+
+  /**
+   * Remove multiple items in a single transaction, all or nothing
+   * @param keys The keys to remove
+   * @returns Promise resolving when the operation completes
+   */
+  removeMany(keys: string[]): Promise<void>;
+
+  /**
+   * Atomically update a value: the read and the write happen in one transaction
+   * @param key The key to update
+   * @param updater Synchronous function receiving the current value (null if not found)
+   * @returns Promise resolving to the new value
+   */
+  update<T = any>(key: string, updater: (currentValue: T | null) => T): Promise<T>;
+
+  /**
+   * Run several operations in a single transaction, committed when the callback resolves
+   * and rolled back when it throws
+   * @param callback Receives the transaction context, may only await its operations
+   * @returns Promise resolving to the callback result
+   */
+  transaction<T>(callback: (tx: TransactionContext) => T | Promise<T>): Promise<T>;
+
   /**
    * Increment a numeric value
    * @param key The key to increment
@@ -87,29 +470,60 @@ export interface TinyIDBHelper {
   prepend(key: string, value: any): Promise<any[]>;
 
   /**
-   * Get all keys
-   * @returns Promise resolving to array of all keys
+   * Get all keys, optionally restricted to a key range
+   * @param query Range, limit and order of the keys
+   * @returns Promise resolving to array of keys
    */
-  keys(): Promise<string[]>;
+  keys(query?: KeyQuery): Promise<string[]>;
+
+  /**
+   * Get all values in a single transaction, optionally restricted to a key range
+   * @param query Range, limit and order of the values
+   * @returns Promise resolving to array of values, rejects if an entry cannot be decoded
+   */
+  values(query?: KeyQuery): Promise<any[]>;
+
+  /**
+   * Get all key-value pairs in a single transaction, optionally restricted to a key range
+   * @param query Range, limit and order of the entries
+   * @returns Promise resolving to object with key-value pairs
+   */
+  entries(query?: KeyQuery): Promise<Record<string, any>>;
 
   /**
-   * Get all values
-   * @returns Promise resolving to array of all values
+   * Get all key-value pairs in a single transaction as a Map in key order
+   * @param query Range, limit and order of the entries
+   * @returns Promise resolving to a Map of key-value pairs
    */
-  values(): Promise<any[]>;
+  entriesMap<T = any>(query?: KeyQuery): Promise<Map<string, T>>;
 
   /**
-   * Get all key-value pairs
-   * @returns Promise resolving to object with all key-value pairs
+   * Iterate over entries in key order, reading them in pages of short transactions
+   * @param options Range, limit, order and page size
+   * @returns Async iterator of [key, value] pairs
    */
-  entries(): Promise<Record<string, any>>;
+  iterate<T = any>(options?: IterateOptions): AsyncGenerator<[string, T]>;
 
   /**
-   * Replace all data with new data
-   * @param data Object containing key-value pairs to replace all data
+   * Replace all data with new data in a single transaction, all or nothing
+   * @param data Object or iterable of [key, value] pairs to replace all data
    * @returns Promise resolving when the operation completes
    */
-  replaceAll(data: Record<string, any>): Promise<void>;
+  replaceAll(data: Record<string, any> | Iterable<[string, any]>): Promise<void>;
+
+  /**
+   * Export all entries as a versioned, self-describing snapshot
+   * @returns Promise resolving to the snapshot
+   */
+  exportAll(): Promise<Snapshot>;
+
+  /**
+   * Import a snapshot produced by exportAll() in a single transaction, all or nothing
+   * @param snapshot The snapshot to import
+   * @param options Import options
+   * @returns Promise resolving to the number of imported entries
+   */
+  importAll(snapshot: Snapshot, options?: ImportOptions): Promise<number>;
 
   /**
    * Get the number of items in storage
@@ -118,18 +532,105 @@ export interface TinyIDBHelper {
   length(): Promise<number>;
 
   /**
-   * Check if a key exists
+   * Remove all expired entries
+   * @returns Promise resolving to the number of removed entries
+   */
+  purgeExpired(): Promise<number>;
+
+  /**
+   * Check every entry for stored data that cannot be decoded, optionally moving corrupt
+   * entries into a quarantine namespace as QuarantinedEntry values
+   * @param options Verify options
+   * @returns Promise resolving to the report
+   */
+  verify(options?: VerifyOptions): Promise<VerifyReport>;
+
+  /**
+   * Re-encrypt all entries with a new key, all or nothing, and use it from then on.
+   * Also encrypts entries stored without encryption.
+   * @param newKey AES-GCM key or passphrase
+   * @returns Promise resolving to the number of re-encrypted entries
+   */
+  rotateKey(newKey: CryptoKey | string): Promise<number>;
+
+  /**
+   * Check if a key exists, also when its value is null
    * @param key The key to check
    * @returns Promise resolving to true if key exists
    */
   has(key: string): Promise<boolean>;
 
+  /**
+   * Subscribe to changes of a single key
+   * @param key The key to watch
+   * @param listener Called after each committed change of the key
+   * @returns Unsubscribe function
+   */
+  subscribe<T = any>(key: string, listener: ChangeListener<T>): () => void;
+
+  /**
+   * Subscribe to changes of all keys
+   * @param listener Called after each committed change
+   * @returns Unsubscribe function
+   */
+  subscribeAll(listener: ChangeListener): () => void;
+
+  /**
+   * Subscribe to connection lifecycle events
+   * @param listener Called on open, blocked, closed and fallback events
+   * @returns Unsubscribe function
+   */
+  subscribeLifecycle(listener: LifecycleListener): () => void;
+
+  /**
+   * Close the connection, the next call opens it again
+   * @returns Promise resolving once closed
+   */
+  close(): Promise<void>;
+
+  /**
+   * Close the connection and delete the IndexedDB database with all its stores
+   * @returns Promise resolving once deleted
+   */
+  deleteDatabase(): Promise<void>;
+
+  /**
+   * Get a view scoped to a namespace, its keys are stored as 'name:key'
+   * @param name Namespace name, must not contain ':'
+   * @returns A view with the same API, clear() only removes the namespace's keys
+   */
+  namespace(name: string): TinyIDBNamespace;
+
   /**
    * Check if currently using memory fallback instead of IndexedDB
    * @returns Whether memory fallback is active
    */
   isUsingMemoryFallback(): boolean;
 
+  /**
+   * Get the active storage backend
+   * @returns Name of the backend or adapter, null until the first operation has initialized the store
+   */
+  getBackend(): Backend | string | null;
+
+  /**
+   * Report what compression saves over the entries currently stored
+   * @returns Promise resolving to the stats
+   */
+  getCompressionStats(): Promise<CompressionStats>;
+
+  /**
+   * Estimate the space taken by the entries, expired entries included until purged
+   * @returns Promise resolving to approximate sizes per key, their total and the browser's estimate
+   */
+  usage(): Promise<StorageUsage>;
+
+  /**
+   * Ask the browser to keep the origin's data under storage pressure
+   * @returns Promise resolving to whether storage is persistent, false where unsupported
+   */
+  requestPersistence(): Promise<boolean>;
+
   /**
    * Clear all data from storage
    * @returns Promise resolving when the operation completes
@@ -137,13 +638,31 @@ export interface TinyIDBHelper {
   clear(): Promise<void>;
 }
 
+/**
+ * View of a store scoped to a namespace, keys are relative to the namespace
+ */
+export type TinyIDBNamespace = Omit<TinyIDBHelper, 'configure' | 'purgeExpired' | 'verify' | 'rotateKey' | 'requestPersistence' |
+  'subscribeLifecycle' | 'close' | 'deleteDatabase'>;
+
 export const ERROR_CODES: {
   readonly OPEN_FAILURE: 'OPEN_FAILURE';
   readonly TRANSACTION_FAILURE: 'TRANSACTION_FAILURE';
   readonly JSON_PARSE_ERROR: 'JSON_PARSE_ERROR';
   readonly NOT_SUPPORTED: 'NOT_SUPPORTED';
+  readonly UPGRADE_FAILURE: 'UPGRADE_FAILURE';
+  readonly SERIALIZATION_ERROR: 'SERIALIZATION_ERROR';
+  readonly INVALID_SNAPSHOT: 'INVALID_SNAPSHOT';
+  readonly DECRYPTION_FAILURE: 'DECRYPTION_FAILURE';
+  readonly QUOTA_EXCEEDED: 'QUOTA_EXCEEDED';
 };
 
+/**
+ * Create an independent store with its own connection and fallback state
+ * @param config Configuration options
+ * @returns A new helper instance
+ */
+export function createStore(config?: IDBHConfig): TinyIDBHelper;
+
 declare const IDBH: TinyIDBHelper;
 
 export default IDBH;
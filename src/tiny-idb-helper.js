@@ -8,50 +8,309 @@ const ERROR_CODES = {
   OPEN_FAILURE: 'OPEN_FAILURE',
   TRANSACTION_FAILURE: 'TRANSACTION_FAILURE',
   JSON_PARSE_ERROR: 'JSON_PARSE_ERROR',
-  NOT_SUPPORTED: 'NOT_SUPPORTED'
+  NOT_SUPPORTED: 'NOT_SUPPORTED',
+  UPGRADE_FAILURE: 'UPGRADE_FAILURE',
+  SERIALIZATION_ERROR: 'SERIALIZATION_ERROR',
+  INVALID_SNAPSHOT: 'INVALID_SNAPSHOT',
+  DECRYPTION_FAILURE: 'DECRYPTION_FAILURE',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED'
 };
 
+// Supported value serialization modes
+const SERIALIZATION_MODES = ['json', 'structured'];
+
+// Built-in storage backends that can be chained with the fallbacks option
+const BACKENDS = ['indexeddb', 'localStorage', 'sessionStorage', 'memory'];
+
+// Prefixes of the items kept in localStorage / sessionStorage
+const WEB_STORAGE_PREFIX = 'tiny-idb-helper:';
+const WEB_STORAGE_META_PREFIX = 'tiny-idb-helper-meta:';
+
+// Identifies snapshots produced by exportAll(). Version 1 snapshots held structured values
+// as they are, version 2 encodes them so snapshots survive JSON, see toSnapshotValue()
+const SNAPSHOT_FORMAT = 'tiny-idb-helper';
+const SNAPSHOT_VERSION = 2;
+const SNAPSHOT_VERSIONS = [1, 2];
+
+// Property naming the type of snapshot values JSON cannot represent
+const SNAPSHOT_TYPE = '$type';
+
+// Binary views and errors snapshots restore, by constructor name
+const SNAPSHOT_VIEWS = ['Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array',
+  'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array', 'DataView'];
+const SNAPSHOT_ERRORS = ['Error', 'EvalError', 'RangeError', 'ReferenceError', 'SyntaxError', 'TypeError', 'URIError'];
+
+// Stored in place of undefined, which JSON cannot represent
+const UNDEFINED_MARKER = '__TINY_IDB_UNDEFINED__';
+
+// Index over record expiry timestamps, used to find expired entries
+const EXPIRY_INDEX = 'expiresAt';
+
+// Key under which the old ES module build stored each value, in one object store per key
+const LEGACY_VALUE_KEY = 'value';
+
+// Object store holding the schema version of each configured store, keyed by store name
+const META_STORE = '__tiny-idb-helper-meta__';
+
+// Object store holding the access statistics of bounded stores, keyed by [store name, key],
+// with the totals of each store under [store name]
+const ACCESS_STORE = '__tiny-idb-helper-access__';
+
+// Fields ordering access statistics for each eviction policy, least valuable entries first
+const ACCESS_ORDER = { lru: ['accessedAt'], lfu: ['hits', 'accessedAt'] };
+
+// Separates a namespace from the keys inside it, e.g. 'drafts:post-1'
+const NAMESPACE_SEPARATOR = ':';
+
+// Journal entry of a key deleted by a pending memory or optimistic transaction
+const DELETED = Symbol('deleted');
+
+// Thrown by readwrite transactions reading a compressed or encrypted record, see _readForUpdate()
+const SEALED_RECORD = Symbol('sealed record');
+
+// PBKDF2 iterations when deriving encryption keys from passphrases
+const PBKDF2_ITERATIONS = 310000;
+
+// Store metadata holding the salt passphrases are stretched with
+const SALT_META = 'passphraseSalt';
+
+// Policies choosing which entries a bounded store evicts first
+const EVICTION_POLICIES = ['lru', 'lfu'];
+
+// Ways reads handle entries whose stored data cannot be decoded
+const CORRUPTION_POLICIES = ['throw', 'null', 'remove'];
+
+// CompressionStream format of compressed entries
+const COMPRESSION_FORMAT = 'gzip';
+
+// Attempts of an optimistic transaction before concurrent writes make it give up
+const OPTIMISTIC_ATTEMPTS = 10;
+
 class TinyIDBHelper {
-  constructor() {
+  /**
+   * @param {Object} options - Configuration options, see configure()
+   */
+  constructor(options = {}) {
     this.config = {
-      dbName: 'app-db'
+      dbName: 'app-db',
+      storeName: 'storage'
     };
-    this.db = null;
-    this.useMemoryFallback = false;
-    this.memoryStore = new Map();
+    this.adapter = null;
+    this.backend = null;
+    this.sweepTimer = null;
+    this.channel = null;
+    this.keyListeners = new Map();
+    this.globalListeners = new Set();
+    this.lifecycleListeners = new Set();
+    // Keys derived from passphrases, per encryption config and salt
+    this.derivedKeys = new WeakMap();
+    // Salts of the stores passphrases are used with, per adapter
+    this.salts = new WeakMap();
+    // Last optimistic transaction queued, per adapter
+    this.optimisticQueues = new WeakMap();
     this.isInitialized = false;
     this.initPromise = null;
+    this.configure(options);
   }
 
   /**
-   * Configure the database name
+   * Configure the database and object store names
    * @param {Object} options - Configuration options
    * @param {string} options.dbName - Database name (default: 'app-db')
+   * @param {string} options.storeName - Object store name (default: 'storage')
+   * @param {number} options.sweepInterval - Milliseconds between expired entry purges, 0 disables (default: 0)
+   * @param {boolean} options.broadcast - Share change events with other tabs via BroadcastChannel (default: false)
+   * @param {string} options.serialization - 'json' or 'structured' to store values via structured clone (default: 'json')
+   * @param {Object} options.serializer - Custom codec { serialize, deserialize }, replaces the serialization mode
+   * @param {Object[]} options.migrations - Data migrations { version, migrate(ctx) } in ascending version order
+   * @param {boolean} options.migrateLegacyLayout - Move data of the old ES module build into the store (default: false)
+   * @param {Array<string|StorageAdapter>} options.fallbacks - Backend names or adapters to try in order (default: ['indexeddb', 'memory'])
+   * @param {Object} options.encryption - Encrypt values at rest with AES-GCM { key: CryptoKey|passphrase } (default: null)
+   * @param {Object} options.compression - Compress values of at least threshold bytes { threshold = 1024 } (default: null)
+   * @param {number} options.maxEntries - Evict entries beyond this many (default: null, unbounded)
+   * @param {number} options.maxBytes - Evict entries beyond this many approximate bytes, see usage() (default: null, unbounded)
+   * @param {string} options.eviction - 'lru' evicts the least recently, 'lfu' the least frequently used entries (default: 'lru')
+   * @param {Function} options.onEvict - Called with { key, value } for each evicted entry, after commit (default: null)
+   * @param {string} options.onCorrupt - Reads of undecodable entries 'throw', return 'null' or 'remove' the entry (default: 'throw')
    */
-  configure({ dbName = 'app-db' } = {}) {
-    if (typeof dbName !== 'string') {
-      throw new Error('Invalid configuration: dbName must be string');
+  configure({
+    dbName = 'app-db',
+    storeName = 'storage',
+    sweepInterval = 0,
+    broadcast = false,
+    serialization = 'json',
+    serializer = null,
+    migrations = [],
+    migrateLegacyLayout = false,
+    fallbacks = ['indexeddb', 'memory'],
+    encryption = null,
+    compression = null,
+    maxEntries = null,
+    maxBytes = null,
+    eviction = 'lru',
+    onEvict = null,
+    onCorrupt = 'throw'
+  } = {}) {
+    if (typeof dbName !== 'string' || typeof storeName !== 'string' || storeName === '') {
+      throw new Error('Invalid configuration: dbName must be string, storeName must be non-empty string');
+    }
+    if (typeof sweepInterval !== 'number' || sweepInterval < 0) {
+      throw new Error('Invalid configuration: sweepInterval must be a non-negative number');
+    }
+    if (typeof broadcast !== 'boolean') {
+      throw new Error('Invalid configuration: broadcast must be boolean');
+    }
+    if (!SERIALIZATION_MODES.includes(serialization)) {
+      throw new Error(`Invalid configuration: serialization must be one of ${SERIALIZATION_MODES.join(', ')}`);
+    }
+    if (serializer !== null && (typeof serializer !== 'object' ||
+        typeof serializer.serialize !== 'function' || typeof serializer.deserialize !== 'function')) {
+      throw new Error('Invalid configuration: serializer must have serialize and deserialize functions');
+    }
+    if (serializer !== null && serialization !== 'json') {
+      throw new Error('Invalid configuration: serializer cannot be combined with serialization mode');
+    }
+    if (!Array.isArray(migrations) || migrations.some((step, index) =>
+      typeof step !== 'object' || step === null ||
+      !Number.isInteger(step.version) || step.version < 1 ||
+      typeof step.migrate !== 'function' ||
+      (index > 0 && step.version <= migrations[index - 1].version))) {
+      throw new Error('Invalid configuration: migrations must be { version, migrate } steps with ascending positive integer versions');
+    }
+    if (typeof migrateLegacyLayout !== 'boolean') {
+      throw new Error('Invalid configuration: migrateLegacyLayout must be boolean');
     }
-    
+    if (!Array.isArray(fallbacks) || fallbacks.length === 0 ||
+        fallbacks.some(backend => !BACKENDS.includes(backend) && !this._isAdapter(backend)) ||
+        new Set(fallbacks).size !== fallbacks.length) {
+      throw new Error(`Invalid configuration: fallbacks must be a non-empty list of distinct backends (${BACKENDS.join(', ')}) or storage adapters`);
+    }
+    if (encryption !== null && (typeof encryption !== 'object' || !this._isEncryptionKey(encryption.key))) {
+      throw new Error('Invalid configuration: encryption key must be an AES-GCM CryptoKey or a non-empty passphrase');
+    }
+    if (encryption !== null && serialization === 'structured') {
+      throw new Error('Invalid configuration: encryption cannot be combined with structured serialization');
+    }
+    if (compression !== null && (typeof compression !== 'object' ||
+        (compression.threshold !== undefined && (typeof compression.threshold !== 'number' || !(compression.threshold >= 0))))) {
+      throw new Error('Invalid configuration: compression must be { threshold } with a non-negative threshold');
+    }
+    if (compression !== null && serialization === 'structured') {
+      throw new Error('Invalid configuration: compression cannot be combined with structured serialization');
+    }
+    if (maxEntries !== null && (!Number.isInteger(maxEntries) || maxEntries < 1)) {
+      throw new Error('Invalid configuration: maxEntries must be a positive integer');
+    }
+    if (maxBytes !== null && (typeof maxBytes !== 'number' || !(maxBytes > 0))) {
+      throw new Error('Invalid configuration: maxBytes must be a positive number');
+    }
+    if (!EVICTION_POLICIES.includes(eviction)) {
+      throw new Error(`Invalid configuration: eviction must be one of ${EVICTION_POLICIES.join(', ')}`);
+    }
+    if (onEvict !== null && typeof onEvict !== 'function') {
+      throw new Error('Invalid configuration: onEvict must be a function');
+    }
+    if (!CORRUPTION_POLICIES.includes(onCorrupt)) {
+      throw new Error(`Invalid configuration: onCorrupt must be one of ${CORRUPTION_POLICIES.join(', ')}`);
+    }
+
     // Reset state when reconfiguring
-    if (this.db) {
-      this.db.close();
+    if (this.adapter) {
+      this.adapter.close();
+    }
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
     }
-    
-    this.config = { dbName };
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+
+    this.config = {
+      dbName,
+      storeName,
+      sweepInterval,
+      broadcast,
+      serialization,
+      serializer,
+      migrations: migrations.slice(),
+      migrateLegacyLayout,
+      fallbacks: fallbacks.slice(),
+      encryption: encryption && { key: encryption.key },
+      compression: compression && { threshold: compression.threshold === undefined ? 1024 : compression.threshold },
+      maxEntries,
+      maxBytes,
+      eviction,
+      onEvict,
+      onCorrupt
+    };
     this.isInitialized = false;
     this.initPromise = null;
-    this.db = null;
-    this.useMemoryFallback = false;
-    this.memoryStore.clear();
+    this.adapter = null;
+    this.backend = null;
+
+    if (sweepInterval > 0) {
+      this.sweepTimer = setInterval(() => {
+        this.purgeExpired().catch((error) => {
+          console.warn('Expired entry sweep failed:', error);
+        });
+      }, sweepInterval);
+
+      // Don't keep Node.js processes alive just for the sweep
+      if (typeof this.sweepTimer.unref === 'function') {
+        this.sweepTimer.unref();
+      }
+    }
+
+    // Silently stay tab-local where BroadcastChannel is unavailable
+    if (broadcast && typeof BroadcastChannel === 'function') {
+      this.channel = new BroadcastChannel(`tiny-idb-helper:${dbName}`);
+      this.channel.onmessage = (event) => {
+        const { storeName: changedStore, changes } = event.data || {};
+        if (changedStore === this.config.storeName && Array.isArray(changes)) {
+          this._notify(changes.map(change => ({ ...change, remote: true })));
+        }
+      };
+
+      if (typeof this.channel.unref === 'function') {
+        this.channel.unref();
+      }
+    }
   }
 
   /**
-   * Initialize the database connection
-   * @returns {Promise<void>}
+   * Check whether a value can serve as encryption key
+   * @param {any} key - The candidate
+   * @returns {boolean} True for AES-GCM CryptoKeys and non-empty passphrases
+   */
+  _isEncryptionKey(key) {
+    if (typeof key === 'string') {
+      return key !== '';
+    }
+    return typeof key === 'object' && key !== null && key.type === 'secret' &&
+      key.algorithm !== undefined && key.algorithm.name === 'AES-GCM';
+  }
+
+  /**
+   * Check whether a fallbacks entry is a storage adapter
+   * @param {any} candidate - The entry
+   * @returns {boolean}
+   */
+  _isAdapter(candidate) {
+    return typeof candidate === 'object' && candidate !== null &&
+      typeof candidate.name === 'string' &&
+      typeof candidate.open === 'function' &&
+      typeof candidate.transaction === 'function';
+  }
+
+  /**
+   * Initialize the database connection. Calls keep using the adapter returned, a connection
+   * closed or lost meanwhile makes them fail instead of switching adapters halfway.
+   * @returns {Promise<StorageAdapter>} The adapter in use
    */
   async _initialize() {
-    if (this.isInitialized) return;
+    if (this.isInitialized) return this.adapter;
     if (this.initPromise) return this.initPromise;
 
     this.initPromise = this._doInitialize();
@@ -59,453 +318,4572 @@ class TinyIDBHelper {
   }
 
   async _doInitialize() {
-    // Check if IndexedDB is available
-    if (typeof window === 'undefined' || !window.indexedDB) {
-      this.useMemoryFallback = true;
-      this.isInitialized = true;
-      return;
-    }
+    for (const backend of this.config.fallbacks) {
+      const adapter = typeof backend === 'string' ? this._createAdapter(backend) : backend;
 
-    try {
-      this.db = await this._openDatabase();
-      this.isInitialized = true;
-    } catch (error) {
-      console.warn('IndexedDB failed, falling back to memory storage:', error);
-      this.useMemoryFallback = true;
-      this.isInitialized = true;
+      // Text-only backends such as web storage cannot hold structured clone values
+      if (adapter.textOnly && this.config.serialization === 'structured') {
+        continue;
+      }
+
+      try {
+        await adapter.open(this._adapterContext(adapter));
+        this.adapter = adapter;
+        this.backend = adapter.name;
+        this.isInitialized = true;
+        this._emitLifecycle({ type: 'open', backend: adapter.name });
+        return adapter;
+      } catch (error) {
+        // Falling back would hide the data the migrations were meant for, let a later call retry
+        if (error.code === ERROR_CODES.UPGRADE_FAILURE) {
+          this.initPromise = null;
+          throw error;
+        }
+        // Unavailable backends are skipped silently
+        if (error.code !== ERROR_CODES.NOT_SUPPORTED) {
+          console.warn(`Storage backend ${adapter.name} failed, trying the next one:`, error);
+        }
+        this._emitLifecycle({ type: 'fallback', backend: adapter.name, error });
+      }
     }
+
+    this.initPromise = null;
+    const error = new Error(`No storage backend available: ${this.config.fallbacks.map(backend =>
+      typeof backend === 'string' ? backend : backend.name).join(', ')}`);
+    error.code = ERROR_CODES.NOT_SUPPORTED;
+    throw error;
   }
 
   /**
-   * Open IndexedDB database
-   * @returns {Promise<IDBDatabase>}
+   * Create the adapter of a built-in backend
+   * @param {string} backend - 'indexeddb', 'localStorage', 'sessionStorage' or 'memory'
+   * @returns {StorageAdapter}
    */
-  _openDatabase() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.config.dbName, 1);
-
-      request.onerror = () => {
-        const error = new Error(`Failed to open database: ${request.error?.message || 'Unknown error'}`);
-        error.code = ERROR_CODES.OPEN_FAILURE;
-        reject(error);
-      };
-
-      request.onsuccess = () => {
-        resolve(request.result);
-      };
+  _createAdapter(backend) {
+    if (backend === 'indexeddb') {
+      return new IndexedDBAdapter();
+    }
+    if (backend === 'memory') {
+      return new MemoryAdapter();
+    }
+    return new WebStorageAdapter(backend);
+  }
 
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        // Create single object store for all data
-        if (!db.objectStoreNames.contains('storage')) {
-          db.createObjectStore('storage');
+  /**
+   * Build the context an adapter is opened with
+   * @param {StorageAdapter} adapter - The adapter
+   * @returns {Object} Context { dbName, storeName, schemaVersion, accessStatistics, migrateLegacyLayout, upgrade, onBlocked, onClose }
+   */
+  _adapterContext(adapter) {
+    return {
+      dbName: this.config.dbName,
+      storeName: this.config.storeName,
+      schemaVersion: this._targetSchemaVersion(),
+      accessStatistics: this._isBounded(),
+      migrateLegacyLayout: this.config.migrateLegacyLayout,
+      upgrade: (tx, oldVersion) => this._runMigrations(oldVersion, this._migrationContext(tx, adapter)),
+      onBlocked: () => {
+        this._emitLifecycle({ type: 'blocked', backend: adapter.name });
+      },
+      // Reconnect lazily on next call
+      onClose: (reason = 'lost') => {
+        if (this.adapter === adapter) {
+          this._resetConnection();
+          this._emitLifecycle({ type: 'closed', backend: adapter.name, reason });
         }
-      };
-    });
+      }
+    };
   }
 
   /**
-   * Get item from storage
-   * @param {string} key - The key to retrieve
-   * @returns {Promise<any|null>} The stored value or null if not found
+   * Forget the current adapter, the next call initializes the store again
    */
-  async getItem(key) {
-    if (typeof key !== 'string') {
-      throw new Error('Key must be a string');
-    }
+  _resetConnection() {
+    this.adapter = null;
+    this.backend = null;
+    this.isInitialized = false;
+    this.initPromise = null;
+  }
 
-    await this._initialize();
+  /**
+   * Run a callback in an adapter transaction once the store is initialized
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the transaction, may only await its operations
+   * @returns {Promise<any>} The callback result, once the transaction committed
+   */
+  async _transaction(mode, callback) {
+    const adapter = await this._initialize();
+    return adapter.transaction(mode, callback);
+  }
 
-    if (this.useMemoryFallback) {
-      return this.memoryStore.has(key) ? this.memoryStore.get(key) : null;
+  /**
+   * Run a read-modify-write callback as one readwrite transaction. Encrypted stores can't do so
+   * directly, WebCrypto would let IndexedDB transactions commit, and neither can compression streams.
+   * Encrypted stores run it optimistically: reads come from their own transactions, writes are
+   * collected and committed together only if the entries read are unchanged, otherwise the callback
+   * runs again. Optimistic transactions on the same adapter run one after another, so only writes
+   * from elsewhere (other tabs, plain writes) can make them run again.
+   * Other stores restart optimistically when the callback reads a compressed or encrypted entry,
+   * or writes a value to compress.
+   * @param {Function} callback - Receives a transaction { get, put, delete, keys } and its adapter
+   * @param {boolean} [optimistic] - Run optimistically, by default in encrypted stores
+   * @returns {Promise<any>} The callback result, once the writes committed
+   */
+  async _readWrite(callback, optimistic = this.config.encryption !== null) {
+    const adapter = await this._initialize();
+    if (!optimistic) {
+      try {
+        return await adapter.transaction('readwrite', tx => callback(tx, adapter));
+      } catch (error) {
+        if (error !== SEALED_RECORD) {
+          throw error;
+        }
+      }
     }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['storage'], 'readonly');
-      const store = transaction.objectStore('storage');
-      const request = store.get(key);
-
-      request.onsuccess = () => {
-        const result = request.result;
-        if (result !== undefined) {
-          try {
-            // Handle special undefined marker
-            if (result === '__TINY_IDB_UNDEFINED__') {
-              resolve(undefined);
-            } else {
-              resolve(JSON.parse(result));
-            }
-          } catch (parseError) {
-            const error = new Error(`JSON parse error: ${parseError.message}`);
-            error.code = ERROR_CODES.JSON_PARSE_ERROR;
-            reject(error);
-          }
-        } else {
-          resolve(null);
+    const previous = this.optimisticQueues.get(adapter) || Promise.resolve();
+    const run = previous.catch(() => {}).then(async () => {
+      for (let attempt = 0; attempt < OPTIMISTIC_ATTEMPTS; attempt++) {
+        const tx = new OptimisticTransaction(adapter);
+        const result = await callback(tx, adapter);
+        if (await tx.commit()) {
+          return result;
         }
-      };
+      }
 
-      request.onerror = () => {
-        const error = new Error(`Get request failed: ${request.error?.message || 'Unknown error'}`);
-        error.code = ERROR_CODES.TRANSACTION_FAILURE;
-        reject(error);
-      };
+      const error = new Error(`Transaction gave up after ${OPTIMISTIC_ATTEMPTS} conflicts with concurrent writes`);
+      error.code = ERROR_CODES.TRANSACTION_FAILURE;
+      throw error;
     });
+    this.optimisticQueues.set(adapter, run);
+    return run;
   }
 
   /**
-   * Set item in storage
-   * @param {string} key - The key to store under
-   * @param {any} value - The value to store
-   * @returns {Promise<void>}
+   * Read a record in a _readWrite() callback. Compressed and encrypted records are left by earlier
+   * configurations too, decoding them would let a readwrite transaction commit early: reading one
+   * aborts the transaction, and _readWrite() runs the callback again optimistically.
+   * @param {Object} tx - The transaction
+   * @param {string} key - The key
+   * @returns {Promise<string|Object|undefined>} The record
    */
-  async setItem(key, value) {
-    if (typeof key !== 'string') {
-      throw new Error('Key must be a string');
+  async _readForUpdate(tx, key) {
+    const record = await tx.get(key);
+    if (!(tx instanceof OptimisticTransaction) && (this._isCompressed(record) || this._isEncrypted(record))) {
+      throw SEALED_RECORD;
+    }
+    return record;
+  }
+
+  /**
+   * Seal a record written by a _readWrite() callback. Compressing it would let a readwrite
+   * transaction commit early: records to compress abort the transaction, and _readWrite() runs
+   * the callback again optimistically.
+   * @param {Object} tx - The transaction
+   * @param {string|Object} record - The record from _encodeRecord()
+   * @param {StorageAdapter} adapter - The adapter the record is written to
+   * @returns {Promise<string|Object>} The record to store
+   */
+  async _sealForUpdate(tx, record, adapter) {
+    if (!(tx instanceof OptimisticTransaction) && this._reachesCompression(record)) {
+      throw SEALED_RECORD;
     }
+    return this._sealRecord(record, adapter);
+  }
+
+  /**
+   * Get the schema version the configured migrations lead to
+   * @returns {number} Version of the last migration, 0 without migrations
+   */
+  _targetSchemaVersion() {
+    const { migrations } = this.config;
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  }
+
+  /**
+   * Run the migrations newer than a schema version, in order
+   * @param {number} currentVersion - The current schema version
+   * @param {Object} context - Data access passed to the migrations
+   * @returns {Promise<number>} The new schema version
+   */
+  async _runMigrations(currentVersion, context) {
+    let version = currentVersion;
 
-    await this._initialize();
+    for (const step of this.config.migrations) {
+      if (step.version <= version) {
+        continue;
+      }
 
-    if (this.useMemoryFallback) {
-      // Test JSON serialization to catch circular references
       try {
-        if (value !== undefined) {
-          JSON.stringify(value);
-        }
-      } catch (stringifyError) {
-        const error = new Error(`JSON stringify error: ${stringifyError.message}`);
-        error.code = ERROR_CODES.JSON_PARSE_ERROR;
+        await step.migrate({ ...context, oldVersion: version, version: step.version });
+      } catch (cause) {
+        const error = new Error(`Migration to version ${step.version} failed: ${cause?.message || cause}`);
+        error.code = ERROR_CODES.UPGRADE_FAILURE;
         throw error;
       }
-      
-      this.memoryStore.set(key, value);
-      return;
+      version = step.version;
     }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['storage'], 'readwrite');
-      const store = transaction.objectStore('storage');
-      
-      let serializedValue;
+    return version;
+  }
+
+  /**
+   * Build the data access passed to migrations, working inside the adapter's upgrade transaction.
+   * Migrations may only await these operations, anything else lets an IndexedDB transaction commit.
+   * That includes WebCrypto and compression streams, so migrations cannot write encrypted values
+   * nor read encrypted or compressed ones.
+   * @param {Object} tx - The upgrade transaction
+   * @param {StorageAdapter} adapter - The adapter being opened
+   * @returns {Object} Context { getItem, setItem, removeItem, has, keys }
+   */
+  _migrationContext(tx, adapter) {
+    const getItem = async (key) => {
+      this._validateKey(key);
+      const record = await tx.get(key);
+      if (!this._isLive(record)) {
+        return null;
+      }
+      if (this._isEncrypted(record)) {
+        throw new Error('Migrations cannot read encrypted entries');
+      }
+      if (this._isCompressed(record)) {
+        throw new Error('Migrations cannot read compressed entries');
+      }
       try {
-        // Handle undefined specifically
-        if (value === undefined) {
-          serializedValue = '__TINY_IDB_UNDEFINED__';
-        } else {
-          serializedValue = JSON.stringify(value);
+        return this._decodeRecord(record);
+      } catch (error) {
+        if (!error.corrupt || this.config.onCorrupt === 'throw') {
+          throw error;
         }
-      } catch (stringifyError) {
-        const error = new Error(`JSON stringify error: ${stringifyError.message}`);
-        error.code = ERROR_CODES.JSON_PARSE_ERROR;
-        reject(error);
-        return;
+        if (this.config.onCorrupt === 'remove') {
+          await tx.delete(key);
+        }
+        return null;
       }
+    };
 
-      const request = store.put(serializedValue, key);
+    return {
+      getItem,
+      setItem: async (key, value, options = {}) => {
+        this._validateKey(key);
+        if (this.config.encryption) {
+          throw new Error('Migrations cannot write to encrypted stores');
+        }
+        await tx.put(key, this._encodeRecord(value, this._resolveExpiry(options), adapter));
+      },
+      removeItem: async (key) => {
+        this._validateKey(key);
+        await tx.delete(key);
+      },
+      has: async (key) => {
+        this._validateKey(key);
+        return this._isLive(await tx.get(key));
+      },
+      keys: async () => this._liveKeys(tx)
+    };
+  }
 
-      transaction.oncomplete = () => {
-        resolve();
-      };
+  /**
+   * Serialize a value for storage
+   * @param {any} value - The value to serialize
+   * @returns {string} The serialized value
+   */
+  _serialize(value) {
+    // Handle undefined specifically
+    if (value === undefined) {
+      return UNDEFINED_MARKER;
+    }
 
-      transaction.onerror = () => {
-        const error = new Error(`Transaction failed: ${transaction.error?.message || 'Unknown error'}`);
-        error.code = ERROR_CODES.TRANSACTION_FAILURE;
-        reject(error);
-      };
-    });
+    try {
+      return JSON.stringify(value);
+    } catch (stringifyError) {
+      const error = new Error(`JSON stringify error: ${stringifyError.message}`);
+      error.code = ERROR_CODES.JSON_PARSE_ERROR;
+      throw error;
+    }
   }
 
   /**
-   * Remove item from storage
-   * @param {string} key - The key to remove
-   * @returns {Promise<void>}
+   * Deserialize a stored value
+   * @param {string} serializedValue - The stored value
+   * @returns {any} The original value
    */
-  async removeItem(key) {
-    if (typeof key !== 'string') {
-      throw new Error('Key must be a string');
+  _deserialize(serializedValue) {
+    if (serializedValue === UNDEFINED_MARKER) {
+      return undefined;
     }
 
-    await this._initialize();
+    try {
+      return JSON.parse(serializedValue);
+    } catch (parseError) {
+      throw corruptionError(ERROR_CODES.JSON_PARSE_ERROR, `JSON parse error: ${parseError.message}`);
+    }
+  }
 
-    if (this.useMemoryFallback) {
-      this.memoryStore.delete(key);
-      return;
+  /**
+   * Copy a value via structured clone
+   * @param {any} value - The value to copy
+   * @returns {any} The copy
+   */
+  _cloneValue(value) {
+    // Without structuredClone, IndexedDB still clones on write but memory values are shared
+    if (typeof structuredClone !== 'function') {
+      return value;
     }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['storage'], 'readwrite');
-      const store = transaction.objectStore('storage');
-      const request = store.delete(key);
+    try {
+      return structuredClone(value);
+    } catch (cloneError) {
+      const error = new Error(`Structured clone error: ${cloneError.message}`);
+      error.code = ERROR_CODES.SERIALIZATION_ERROR;
+      throw error;
+    }
+  }
 
-      transaction.oncomplete = () => {
-        resolve();
-      };
+  /**
+   * Run a custom serializer function, surfacing its failures as SERIALIZATION_ERROR
+   * @param {string} method - 'serialize' or 'deserialize'
+   * @param {any} input - The value to pass
+   * @returns {any} The codec result
+   */
+  _runSerializer(method, input) {
+    let output;
+    try {
+      output = this.config.serializer[method](input);
+    } catch (codecError) {
+      const message = `Serializer ${method} error: ${codecError.message}`;
+      if (method === 'deserialize') {
+        throw corruptionError(ERROR_CODES.SERIALIZATION_ERROR, message);
+      }
+      const error = new Error(message);
+      error.code = ERROR_CODES.SERIALIZATION_ERROR;
+      throw error;
+    }
 
-      transaction.onerror = () => {
-        const error = new Error(`Transaction failed: ${transaction.error?.message || 'Unknown error'}`);
-        error.code = ERROR_CODES.TRANSACTION_FAILURE;
-        reject(error);
-      };
-    });
+    if (output && typeof output.then === 'function') {
+      const error = new Error(`Serializer ${method} must be synchronous`);
+      error.code = ERROR_CODES.SERIALIZATION_ERROR;
+      throw error;
+    }
+    return output;
   }
 
   /**
-   * Set value to null
-   * @param {string} key - The key to nullify
-   * @returns {Promise<void>}
+   * Encode a value into a stored record. Plain JSON values are stored as strings,
+   * anything else in a { data, encoding, expiresAt } envelope.
+   * @param {any} value - The value to store
+   * @param {number} [expiresAt] - Expiry timestamp in milliseconds
+   * @param {StorageAdapter} adapter - The adapter the record is written to
+   * @returns {string|Object} The record to store
    */
-  async nullify(key) {
-    return this.setItem(key, null);
+  _encodeRecord(value, expiresAt, adapter) {
+    let record;
+    if (this.config.serializer && value !== undefined) {
+      record = { data: this._runSerializer('serialize', value), encoding: 'custom' };
+    } else if (this.config.serialization === 'structured') {
+      record = { data: this._cloneValue(value), encoding: 'structured' };
+    } else {
+      // Also used for undefined with custom serializers, which need not support it
+      record = { data: this._serialize(value) };
+    }
+
+    // Text-only adapters such as web storage persist records as JSON text, ciphertext is text too
+    if (adapter.textOnly && !this.config.encryption && typeof record.data !== 'string') {
+      const error = new Error(`${adapter.name} only holds text, the serializer must produce strings`);
+      error.code = ERROR_CODES.SERIALIZATION_ERROR;
+      throw error;
+    }
+
+    if (expiresAt !== undefined) {
+      record.expiresAt = expiresAt;
+    }
+    return record.encoding || record.expiresAt !== undefined ? record : record.data;
   }
 
   /**
-   * Increment a numeric value
-   * @param {string} key - The key to increment
-   * @param {number} amount - Amount to increment by (default: 1)
-   * @returns {Promise<number>} The new value
+   * Decode a stored record, records are decoded by the encoding they were written with
+   * @param {string|Object} record - The stored record
+   * @returns {any} The original value
    */
-  async increment(key, amount = 1) {
-    if (typeof amount !== 'number') {
-      throw new Error('Increment amount must be a number');
+  _decodeRecord(record) {
+    const { data, encoding } = this._unwrapRecord(record);
+
+    if (encoding === 'structured') {
+      return data;
     }
 
-    const currentValue = await this.getItem(key);
-    const numValue = typeof currentValue === 'number' ? currentValue : 0;
-    const newValue = numValue + amount;
-    
-    await this.setItem(key, newValue);
-    return newValue;
+    if (encoding === 'custom') {
+      if (!this.config.serializer) {
+        const error = new Error('Entry was written with a custom serializer, none is configured');
+        error.code = ERROR_CODES.SERIALIZATION_ERROR;
+        throw error;
+      }
+      return this._runSerializer('deserialize', data);
+    }
+
+    return this._deserialize(data);
   }
 
   /**
-   * Decrement a numeric value
-   * @param {string} key - The key to decrement
-   * @param {number} amount - Amount to decrement by (default: 1)
-   * @returns {Promise<number>} The new value
+   * Unwrap a stored record
+   * @param {string|Object} record - The stored record
+   * @returns {{data: any, encoding: string|undefined, expiresAt: number|undefined}}
    */
-  async decrement(key, amount = 1) {
-    return this.increment(key, -amount);
+  _unwrapRecord(record) {
+    if (typeof record === 'string') {
+      return { data: record, encoding: undefined, expiresAt: undefined };
+    }
+    return record;
   }
 
   /**
-   * Toggle a boolean value
-   * @param {string} key - The key to toggle
-   * @returns {Promise<boolean>} The new value
+   * Check whether a stored record is encrypted
+   * @param {string|Object} record - The stored record
+   * @returns {boolean}
    */
-  async toggle(key) {
-    const currentValue = await this.getItem(key);
-    const newValue = !currentValue;
-    await this.setItem(key, newValue);
-    return newValue;
+  _isEncrypted(record) {
+    return typeof record === 'object' && record !== null && record.encryption !== undefined;
   }
 
   /**
-   * Append to an array
-   * @param {string} key - The key containing the array
-   * @param {any} value - Value to append
-   * @returns {Promise<any[]>} The new array
+   * Get the WebCrypto API
+   * @returns {SubtleCrypto}
    */
-  async append(key, value) {
-    const currentValue = await this.getItem(key);
-    const array = Array.isArray(currentValue) ? currentValue : [];
-    array.push(value);
-    await this.setItem(key, array);
-    return array;
+  _subtle() {
+    const crypto = globalThis.crypto;
+    if (!crypto || !crypto.subtle) {
+      const error = new Error('Encryption requires WebCrypto (crypto.subtle)');
+      error.code = ERROR_CODES.NOT_SUPPORTED;
+      throw error;
+    }
+    return crypto.subtle;
   }
 
   /**
-   * Prepend to an array
-   * @param {string} key - The key containing the array
-   * @param {any} value - Value to prepend
-   * @returns {Promise<any[]>} The new array
+   * Get the AES-GCM key of an encryption config. Passphrases are stretched with PBKDF2,
+   * the salt is stored with each record so every record names the key it needs.
+   * @param {Object} encryption - Encryption config { key }
+   * @param {string} [salt] - Base64 salt, only used with passphrases
+   * @returns {Promise<CryptoKey>}
    */
-  async prepend(key, value) {
-    const currentValue = await this.getItem(key);
-    const array = Array.isArray(currentValue) ? currentValue : [];
-    array.unshift(value);
-    await this.setItem(key, array);
-    return array;
+  _cipherKey(encryption, salt) {
+    if (typeof encryption.key !== 'string') {
+      return Promise.resolve(encryption.key);
+    }
+    if (salt === undefined) {
+      return Promise.reject(new Error('entry was not encrypted with a passphrase'));
+    }
+
+    if (!this.derivedKeys.has(encryption)) {
+      this.derivedKeys.set(encryption, new Map());
+    }
+    const keys = this.derivedKeys.get(encryption);
+
+    if (!keys.has(salt)) {
+      const subtle = this._subtle();
+      const derived = subtle.importKey('raw', new TextEncoder().encode(encryption.key), 'PBKDF2', false, ['deriveKey'])
+        .then(material => subtle.deriveKey(
+          { name: 'PBKDF2', salt: fromBase64(salt), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+          material,
+          { name: 'AES-GCM', length: 256 },
+          false,
+          ['encrypt', 'decrypt']
+        ));
+      // Don't cache failures
+      derived.catch(() => keys.delete(salt));
+      keys.set(salt, derived);
+    }
+    return keys.get(salt);
   }
 
   /**
-   * Get all keys
-   * @returns {Promise<string[]>} Array of all keys
+   * Get the salt to stretch passphrases with. A store keeps a single salt in its metadata,
+   * so its entries need one key derivation, whichever configuration or session wrote them.
+   * Adapters without metadata get a salt per adapter instead.
+   * @param {StorageAdapter} adapter - The adapter of the store
+   * @returns {Promise<string>} Base64 salt
    */
-  async keys() {
-    await this._initialize();
+  _passphraseSalt(adapter) {
+    if (!this.salts.has(adapter)) {
+      const salt = adapter.transaction('readwrite', async (tx) => {
+        const fresh = toBase64(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+        if (typeof tx.getMeta !== 'function') {
+          return fresh;
+        }
+        const stored = await tx.getMeta(SALT_META);
+        if (typeof stored === 'string') {
+          return stored;
+        }
+        await tx.putMeta(SALT_META, fresh);
+        return fresh;
+      }, { meta: true });
+      // Don't cache failures
+      salt.catch(() => this.salts.delete(adapter));
+      this.salts.set(adapter, salt);
+    }
+    return this.salts.get(adapter);
+  }
 
-    if (this.useMemoryFallback) {
-      return Array.from(this.memoryStore.keys());
+  /**
+   * Encrypt a stored record. The data is replaced by its base64 AES-GCM ciphertext, the rest
+   * of the envelope stays readable so expired entries can be found without the key.
+   * @param {string|Object} record - The record from _encodeRecord()
+   * @param {StorageAdapter} adapter - The adapter the record is written to
+   * @param {Object} [encryption] - Encryption config, the configured one by default
+   * @returns {Promise<string|Object>} The encrypted record, the record itself without encryption
+   */
+  async _encryptRecord(record, adapter, encryption = this.config.encryption) {
+    if (!encryption) {
+      return record;
     }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['storage'], 'readonly');
-      const store = transaction.objectStore('storage');
-      const request = store.getAllKeys();
+    const { data, ...envelope } = typeof record === 'string' ? { data: record } : record;
+    let plaintext;
+    if (typeof data === 'string') {
+      plaintext = new TextEncoder().encode(data);
+    } else if (data instanceof Uint8Array || data instanceof ArrayBuffer) {
+      plaintext = data;
+    } else {
+      const error = new Error('Encrypted stores need serializers producing strings or bytes');
+      error.code = ERROR_CODES.SERIALIZATION_ERROR;
+      throw error;
+    }
 
-      request.onsuccess = () => {
-        resolve(request.result);
-      };
+    const subtle = this._subtle();
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+    const cipher = { iv: toBase64(iv) };
+    if (typeof encryption.key === 'string') {
+      cipher.salt = await this._passphraseSalt(adapter);
+    }
+    if (typeof data !== 'string') {
+      cipher.binary = true;
+    }
 
-      request.onerror = () => {
-        const error = new Error(`Keys request failed: ${request.error?.message || 'Unknown error'}`);
-        error.code = ERROR_CODES.TRANSACTION_FAILURE;
-        reject(error);
-      };
-    });
+    const key = await this._cipherKey(encryption, cipher.salt);
+    const ciphertext = await subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+    return { data: toBase64(ciphertext), ...envelope, encryption: cipher };
   }
 
   /**
-   * Get all values
-   * @returns {Promise<any[]>} Array of all values
+   * Decrypt a stored record, records that aren't encrypted are returned as they are
+   * @param {string|Object} record - The stored record
+   * @param {Object} [encryption] - Encryption config, the configured one by default
+   * @returns {Promise<string|Object>} The record as it was before encryption
    */
-  async values() {
-    await this._initialize();
+  async _decryptRecord(record, encryption = this.config.encryption) {
+    if (!this._isEncrypted(record)) {
+      return record;
+    }
 
-    if (this.useMemoryFallback) {
-      return Array.from(this.memoryStore.values());
+    if (!encryption) {
+      const error = new Error('Entry is encrypted, no encryption key is configured');
+      error.code = ERROR_CODES.DECRYPTION_FAILURE;
+      throw error;
     }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['storage'], 'readonly');
-      const store = transaction.objectStore('storage');
-      const request = store.getAll();
+    const subtle = this._subtle();
+    const { data, encryption: cipher, ...envelope } = record;
+    let plaintext;
+    try {
+      const key = await this._cipherKey(encryption, cipher.salt);
+      plaintext = await subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(cipher.iv) }, key, fromBase64(data));
+    } catch (cryptoError) {
+      // AES-GCM can't tell a wrong key from tampered data
+      const error = new Error(`Decryption failed, wrong key or corrupted entry: ${cryptoError.message}`);
+      error.code = ERROR_CODES.DECRYPTION_FAILURE;
+      throw error;
+    }
 
-      request.onsuccess = () => {
-        const results = request.result.map(value => {
-          try {
-            if (value === '__TINY_IDB_UNDEFINED__') {
-              return undefined;
-            } else {
-              return JSON.parse(value);
-            }
-          } catch {
-            return value;
-          }
-        });
-        resolve(results);
-      };
+    return { data: cipher.binary ? new Uint8Array(plaintext) : new TextDecoder().decode(plaintext), ...envelope };
+  }
 
-      request.onerror = () => {
-        const error = new Error(`Values request failed: ${request.error?.message || 'Unknown error'}`);
-        error.code = ERROR_CODES.TRANSACTION_FAILURE;
-        reject(error);
-      };
-    });
+  /**
+   * Check whether a stored record is compressed
+   * @param {string|Object} record - The stored record
+   * @returns {boolean}
+   */
+  _isCompressed(record) {
+    return typeof record === 'object' && record !== null && record.compression !== undefined;
   }
 
   /**
-   * Get all key-value pairs
-   * @returns {Promise<Object>} Object with all key-value pairs
+   * Compress the data of a record reaching the compression threshold. Records stay uncompressed
+   * where CompressionStream is unavailable or compression wouldn't make them smaller.
+   * @param {string|Object} record - The record from _encodeRecord()
+   * @param {StorageAdapter} adapter - The adapter the record is written to
+   * @returns {Promise<string|Object>} The compressed record, or the record itself
    */
-  async entries() {
-    const keys = await this.keys();
-    const result = {};
-    
-    for (const key of keys) {
-      result[key] = await this.getItem(key);
+  async _compressRecord(record, adapter) {
+    if (!this._reachesCompression(record)) {
+      return record;
     }
-    
-    return result;
+
+    const { data, ...envelope } = typeof record === 'string' ? { data: record } : record;
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+    const compressed = await transformBytes(bytes, new CompressionStream(COMPRESSION_FORMAT));
+    if (compressed.byteLength >= bytes.byteLength) {
+      return record;
+    }
+
+    // Sizes are kept for getCompressionStats()
+    const meta = { format: COMPRESSION_FORMAT, size: bytes.byteLength, compressedSize: compressed.byteLength };
+    if (typeof data !== 'string') {
+      meta.binary = true;
+    }
+    // Text-only adapters get base64, encryption takes the bytes as they are
+    const textOnly = adapter.textOnly && !this.config.encryption;
+    return { data: textOnly ? toBase64(compressed) : compressed, ...envelope, compression: meta };
   }
 
   /**
-   * Replace all data with new data
-   * @param {Object} data - Object containing key-value pairs to replace all data
-   * @returns {Promise<void>}
+   * Check whether _compressRecord() tries to compress a record: compression is configured and
+   * available, and the record's data are text or bytes reaching the threshold
+   * @param {string|Object} record - The record from _encodeRecord()
+   * @returns {boolean}
    */
-  async replaceAll(data) {
-    if (typeof data !== 'object' || data === null) {
-      throw new Error('Data must be an object');
+  _reachesCompression(record) {
+    const { compression } = this.config;
+    const data = typeof record === 'string' ? record : record.data;
+    if (!compression || typeof CompressionStream !== 'function') {
+      return false;
+    }
+    if (typeof data === 'string') {
+      return new TextEncoder().encode(data).byteLength >= compression.threshold;
+    }
+    return (data instanceof Uint8Array || data instanceof ArrayBuffer) && data.byteLength >= compression.threshold;
+  }
+
+  /**
+   * Decompress a stored record, records that aren't compressed are returned as they are.
+   * Works without the compression option, so compressed entries stay readable.
+   * @param {string|Object} record - The record, decrypted
+   * @returns {Promise<string|Object>} The record as _encodeRecord() produced it
+   */
+  async _decompressRecord(record) {
+    if (!this._isCompressed(record)) {
+      return record;
     }
 
-    // Clear all existing data
-    await this.clear();
+    if (typeof DecompressionStream !== 'function') {
+      const error = new Error('Entry is compressed, DecompressionStream is not available');
+      error.code = ERROR_CODES.NOT_SUPPORTED;
+      throw error;
+    }
 
-    // Set new data
-    for (const [key, value] of Object.entries(data)) {
-      await this.setItem(key, value);
+    const { data, compression: meta, ...envelope } = record;
+    let bytes;
+    try {
+      bytes = await transformBytes(typeof data === 'string' ? fromBase64(data) : data, new DecompressionStream(meta.format));
+    } catch (streamError) {
+      throw corruptionError(ERROR_CODES.SERIALIZATION_ERROR, `Decompression failed: ${streamError.message}`);
     }
+
+    return { data: meta.binary ? bytes : new TextDecoder().decode(bytes), ...envelope };
   }
 
   /**
-   * Get the number of items in storage
-   * @returns {Promise<number>} Number of items
+   * Prepare an encoded record for storage: compress, then encrypt
+   * @param {string|Object} record - The record from _encodeRecord()
+   * @param {StorageAdapter} adapter - The adapter the record is written to
+   * @returns {Promise<string|Object>} The record to store
    */
-  async length() {
-    await this._initialize();
+  async _sealRecord(record, adapter) {
+    return this._encryptRecord(await this._compressRecord(record, adapter), adapter);
+  }
+
+  /**
+   * Decrypt, decompress and decode a stored record
+   * @param {string|Object} record - The stored record
+   * @returns {Promise<any>} The original value
+   */
+  async _openRecord(record) {
+    return this._decodeRecord(await this._decompressRecord(await this._decryptRecord(record)));
+  }
 
-    if (this.useMemoryFallback) {
-      return this.memoryStore.size;
+  /**
+   * Open a stored record, handling undecodable data according to the onCorrupt option
+   * @param {StorageAdapter} adapter - The adapter the record was read from
+   * @param {string} key - The record's key
+   * @param {string|Object} record - The stored record
+   * @returns {Promise<{exists: boolean, value: any}>} The value, exists is false for removed entries
+   */
+  async _openEntry(adapter, key, record) {
+    try {
+      return { exists: true, value: await this._openRecord(record) };
+    } catch (error) {
+      if (!error.corrupt || this.config.onCorrupt === 'throw') {
+        throw error;
+      }
+      if (this.config.onCorrupt === 'null') {
+        return { exists: true, value: null };
+      }
+      this._removeIfUnchanged(adapter, key, record).catch(() => {});
+      return { exists: false, value: null };
     }
+  }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['storage'], 'readonly');
-      const store = transaction.objectStore('storage');
-      const request = store.count();
+  /**
+   * Check whether an expiry timestamp has passed
+   * @param {number} [expiresAt] - Expiry timestamp in milliseconds
+   * @returns {boolean}
+   */
+  _isExpired(expiresAt) {
+    return expiresAt !== undefined && expiresAt <= Date.now();
+  }
 
-      request.onsuccess = () => {
-        resolve(request.result);
-      };
+  /**
+   * Check whether a stored record exists and has not expired
+   * @param {string|Object} [record] - The stored record
+   * @returns {boolean}
+   */
+  _isLive(record) {
+    return record !== undefined && !this._isExpired(this._unwrapRecord(record).expiresAt);
+  }
 
-      request.onerror = () => {
-        const error = new Error(`Count request failed: ${request.error?.message || 'Unknown error'}`);
-        error.code = ERROR_CODES.TRANSACTION_FAILURE;
-        reject(error);
-      };
-    });
+  /**
+   * Resolve setItem expiry options to a timestamp
+   * @param {Object} options - Expiry options
+   * @param {number} options.ttl - Time to live in milliseconds
+   * @param {number|Date} options.expiresAt - Absolute expiry time
+   * @returns {number|undefined} Expiry timestamp in milliseconds
+   */
+  _resolveExpiry({ ttl, expiresAt } = {}) {
+    if (ttl !== undefined && expiresAt !== undefined) {
+      throw new Error('Specify either ttl or expiresAt, not both');
+    }
+
+    if (ttl !== undefined) {
+      if (typeof ttl !== 'number' || !(ttl > 0)) {
+        throw new Error('ttl must be a positive number');
+      }
+      return Date.now() + ttl;
+    }
+
+    if (expiresAt !== undefined) {
+      const timestamp = expiresAt instanceof Date ? expiresAt.getTime() : expiresAt;
+      if (typeof timestamp !== 'number' || Number.isNaN(timestamp)) {
+        throw new Error('expiresAt must be a timestamp or Date');
+      }
+      return timestamp;
+    }
+
+    return undefined;
   }
 
   /**
-   * Check if a key exists
-   * @param {string} key - The key to check
-   * @returns {Promise<boolean>} True if key exists
+   * Decode a stored record for change events, treating missing, expired and unreadable records as null.
+   * Decryption can't happen inside IndexedDB transactions, so this runs once they committed.
+   * @param {string|Object} [record] - The stored record
+   * @returns {Promise<any|null>}
    */
-  async has(key) {
-    if (typeof key !== 'string') {
-      throw new Error('Key must be a string');
+  async _readRecordValue(record) {
+    if (record === undefined) {
+      return null;
+    }
+
+    if (this._isExpired(this._unwrapRecord(record).expiresAt)) {
+      return null;
     }
 
-    const value = await this.getItem(key);
-    return value !== null;
+    try {
+      return await this._openRecord(record);
+    } catch {
+      return null;
+    }
   }
 
   /**
-   * Check if currently using memory fallback
+   * Read the records of some keys within a transaction
+   * @param {Object} tx - The transaction
+   * @param {string[]} keys - The keys to read
+   * @returns {Promise<Array>} Records in the order of keys, undefined for missing keys
+   */
+  _readRecords(tx, keys) {
+    return Promise.all(keys.map(key => tx.get(key)));
+  }
+
+  /**
+   * Read all entries within a key prefix, including expired ones
+   * @param {Object} tx - The transaction
+   * @param {string} scope - Key prefix, '' for all entries
+   * @returns {Promise<Array<Array>>} [key, record] pairs
+   */
+  async _readScope(tx, scope) {
+    const keys = await tx.keys(this._scopeRange(scope));
+    const records = await this._readRecords(tx, keys);
+    return keys.map((key, index) => [key, records[index]]);
+  }
+
+  /**
+   * Find the keys of expired records, through the adapter's expiredKeys() where available
+   * @param {Object} tx - The transaction
+   * @returns {Promise<string[]>} The expired keys
+   */
+  async _expiredKeys(tx) {
+    if (typeof tx.expiredKeys === 'function') {
+      return tx.expiredKeys(Date.now());
+    }
+
+    const entries = await this._readScope(tx, '');
+    return entries.filter(([, record]) => !this._isLive(record)).map(([key]) => key);
+  }
+
+  /**
+   * Get the keys of records that have not expired
+   * @param {Object} tx - The transaction
+   * @returns {Promise<string[]>} The keys in ascending order
+   */
+  async _liveKeys(tx) {
+    const [keys, expiredKeys] = await Promise.all([tx.keys(), this._expiredKeys(tx)]);
+    const expired = new Set(expiredKeys);
+    return keys.filter(key => !expired.has(key));
+  }
+
+  /**
+   * Remove a key if it is still expired, used for lazy eviction on read
+   * @param {StorageAdapter} adapter - The adapter the key was read from
+   * @param {string} key - The key to remove
+   * @returns {Promise<void>}
+   */
+  async _removeIfExpired(adapter, key) {
+    // Re-check inside the write transaction, the key may have been rewritten meanwhile
+    return adapter.transaction('readwrite', async (tx) => {
+      const record = await tx.get(key);
+      if (record !== undefined && !this._isLive(record)) {
+        await tx.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Remove a key if it still holds the given record, used to drop corrupt entries on read
+   * @param {StorageAdapter} adapter - The adapter the record was read from
+   * @param {string} key - The key to remove
+   * @param {string|Object} record - The record read earlier
+   * @returns {Promise<void>}
+   */
+  async _removeIfUnchanged(adapter, key, record) {
+    return adapter.transaction('readwrite', async (tx) => {
+      if (sameRecord(await tx.get(key), record)) {
+        await tx.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Check whether the store is a bounded cache, with maxEntries or maxBytes
    * @returns {boolean}
    */
-  isUsingMemoryFallback() {
-    return this.useMemoryFallback;
+  _isBounded() {
+    return this.config.maxEntries !== null || this.config.maxBytes !== null;
   }
 
   /**
-   * Clear all data
+   * Check that a transaction keeps the access statistics bounded stores need, see StorageAdapter
+   * @param {Object} tx - The transaction
+   */
+  _checkAccessSupport(tx) {
+    if (typeof tx.getAccess !== 'function' || typeof tx.putAccess !== 'function' ||
+        typeof tx.accessTotals !== 'function' || typeof tx.walkAccess !== 'function') {
+      const error = new Error('maxEntries and maxBytes need a storage adapter keeping access statistics');
+      error.code = ERROR_CODES.NOT_SUPPORTED;
+      throw error;
+    }
+  }
+
+  /**
+   * Write a record. Bounded stores count the write as an access, once optimistic transactions commit.
+   * @param {Object} tx - The transaction
+   * @param {string} key - The key
+   * @param {string|Object} record - The record to write
    * @returns {Promise<void>}
    */
-  async clear() {
-    await this._initialize();
+  async _putRecord(tx, key, record) {
+    await tx.put(key, record);
+    if (!this._isBounded()) {
+      return;
+    }
 
-    if (this.useMemoryFallback) {
-      this.memoryStore.clear();
+    if (tx instanceof OptimisticTransaction) {
+      tx.onCommit(commitTx => this._countWrite(commitTx, key, record));
       return;
     }
+    await this._countWrite(tx, key, record);
+  }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['storage'], 'readwrite');
-      const store = transaction.objectStore('storage');
-      const request = store.clear();
+  /**
+   * Update the access statistics of a written entry: the write counts as an access, overwritten
+   * entries keep counting their earlier ones, and the size is the new record's
+   * @param {Object} tx - The transaction
+   * @param {string} key - The key
+   * @param {string|Object} record - The record written
+   * @returns {Promise<void>}
+   */
+  async _countWrite(tx, key, record) {
+    this._checkAccessSupport(tx);
+    const access = await tx.getAccess(key);
+    await tx.putAccess(key, {
+      accessedAt: Date.now(),
+      hits: (access ? access.hits : 0) + 1,
+      size: approximateSize(key) + approximateSize(record)
+    });
+  }
 
-      transaction.oncomplete = () => {
-        resolve();
-      };
+  /**
+   * Record reads in the access statistics of a bounded store, leaving the records alone.
+   * Runs in the background, transactions started afterwards see it.
+   * @param {StorageAdapter} adapter - The adapter the keys were read from
+   * @param {string[]} keys - The keys read
+   */
+  _touch(adapter, keys) {
+    if (!this._isBounded() || keys.length === 0) {
+      return;
+    }
 
-      transaction.onerror = () => {
-        const error = new Error(`Clear failed: ${transaction.error?.message || 'Unknown error'}`);
-        error.code = ERROR_CODES.TRANSACTION_FAILURE;
-        reject(error);
-      };
+    adapter.transaction('readwrite', async (tx) => {
+      this._checkAccessSupport(tx);
+      const unique = Array.from(new Set(keys));
+      const accesses = await Promise.all(unique.map(key => tx.getAccess(key)));
+      // Entries written while the store was not bounded have no statistics yet
+      const records = await Promise.all(unique.map((key, index) => (accesses[index] ? undefined : tx.get(key))));
+      const now = Date.now();
+      await Promise.all(unique.map((key, index) => {
+        const access = accesses[index];
+        if (access) {
+          return tx.putAccess(key, { ...access, accessedAt: now, hits: access.hits + 1 });
+        }
+        return records[index] !== undefined &&
+          tx.putAccess(key, { accessedAt: now, hits: 1, size: approximateSize(key) + approximateSize(records[index]) });
+      }));
+    }).catch(() => {});
+  }
+
+  /**
+   * Bring a bounded store back within its limits, in the transaction of the write that may have
+   * exceeded them. Only the totals of the access statistics are read while within the limits.
+   * Beyond them, expired entries are removed first, then entries in eviction order, sparing
+   * the keys just written. Optimistic transactions evict once they commit.
+   * @param {Object} tx - The transaction
+   * @param {string[]} writtenKeys - Keys written by the transaction
+   * @returns {Promise<Array<Array>>} Evicted [key, record] pairs, filled on commit in optimistic transactions
+   */
+  async _evict(tx, writtenKeys) {
+    if (!this._isBounded()) {
+      return [];
+    }
+    if (tx instanceof OptimisticTransaction) {
+      const evicted = [];
+      tx.onCommit(async (commitTx) => {
+        evicted.push(...await this._evict(commitTx, writtenKeys));
+      });
+      return evicted;
+    }
+
+    this._checkAccessSupport(tx);
+    const { maxEntries, maxBytes, eviction } = this.config;
+    let [{ count, bytes }, total] = await Promise.all([tx.accessTotals(), tx.count()]);
+    // Entries written while the store was not bounded, by migrations or by other tabs
+    if (count !== total) {
+      ({ count, bytes } = await this._backfillAccess(tx));
+    }
+    const exceeded = () => (maxEntries !== null && count > maxEntries) || (maxBytes !== null && bytes > maxBytes);
+    if (!exceeded()) {
+      return [];
+    }
+
+    const expiredKeys = await this._expiredKeys(tx);
+    if (expiredKeys.length > 0) {
+      await Promise.all(expiredKeys.map(key => tx.delete(key)));
+      ({ count, bytes } = await tx.accessTotals());
+    }
+
+    const spared = new Set(writtenKeys);
+    const keys = [];
+    await tx.walkAccess(eviction, (key, access) => {
+      if (!exceeded()) {
+        return false;
+      }
+      if (!spared.has(key)) {
+        keys.push(key);
+        count--;
+        bytes -= access.size;
+      }
+      return true;
+    });
+
+    if (exceeded()) {
+      const error = new Error('The written entries alone exceed maxEntries or maxBytes');
+      error.code = ERROR_CODES.QUOTA_EXCEEDED;
+      throw error;
+    }
+
+    const records = await this._readRecords(tx, keys);
+    await Promise.all(keys.map(key => tx.delete(key)));
+    return keys.map((key, index) => [key, records[index]]);
+  }
+
+  /**
+   * Give the entries of a bounded store that have no access statistics some, as least recently
+   * and least frequently used, drop statistics whose entries are gone and recount the totals
+   * @param {Object} tx - The transaction
+   * @returns {Promise<{count: number, bytes: number}>} The new totals
+   */
+  async _backfillAccess(tx) {
+    const keys = await tx.keys();
+    const present = new Set(keys);
+    const orphans = [];
+    await tx.walkAccess('lru', (key) => {
+      if (!present.has(key)) {
+        orphans.push(key);
+      }
+      return true;
     });
+
+    const accesses = await Promise.all(keys.map(key => tx.getAccess(key)));
+    const missing = keys.filter((key, index) => accesses[index] === undefined);
+    const records = await this._readRecords(tx, missing);
+    await Promise.all([
+      ...orphans.map(key => tx.delete(key)),
+      ...missing.map((key, index) =>
+        tx.putAccess(key, { accessedAt: 0, hits: 0, size: approximateSize(key) + approximateSize(records[index]) }))
+    ]);
+    return tx.accessTotals({ recount: true });
+  }
+
+  /**
+   * Publish committed changes followed by the evictions they caused, and report the evictions to onEvict
+   * @param {Object[]} changes - Change events of the write
+   * @param {Array<Array>} evicted - Evicted [key, record] pairs
+   * @returns {Promise<void>}
+   */
+  async _emitWithEvictions(changes, evicted) {
+    const evictions = await Promise.all(evicted.map(async ([key, record]) =>
+      ({ key, oldValue: await this._readRecordValue(record), newValue: null, type: 'evict' })));
+    this._emit([...changes, ...evictions]);
+
+    const { onEvict } = this.config;
+    if (!onEvict) {
+      return;
+    }
+    for (const { key, oldValue } of evictions) {
+      try {
+        onEvict({ key, value: oldValue });
+      } catch (error) {
+        console.error('Eviction callback failed:', error);
+      }
+    }
   }
+
+  /**
+   * Get item from storage
+   * @param {string} key - The key to retrieve
+   * @param {Object} options - Read options
+   * @param {any} options.default - Returned when the key is missing (default: null)
+   * @returns {Promise<any|null>} The stored value, or the default if not found
+   */
+  async getItem(key, { default: defaultValue = null } = {}) {
+    const { exists, value } = await this.getEntry(key);
+    return exists ? value : defaultValue;
+  }
+
+  /**
+   * Get item from storage, telling a missing key apart from a stored null
+   * @param {string} key - The key to retrieve
+   * @returns {Promise<{exists: boolean, value: any}>} Whether the key exists and its value, null if not
+   */
+  async getEntry(key) {
+    if (typeof key !== 'string') {
+      throw new Error('Key must be a string');
+    }
+
+    const adapter = await this._initialize();
+
+    const record = await this._getLiveRecord(adapter, key);
+    if (record === undefined) {
+      return { exists: false, value: null };
+    }
+
+    this._touch(adapter, [key]);
+    return this._openEntry(adapter, key, record);
+  }
+
+  /**
+   * Read a record, treating expired records as missing and removing them in the background
+   * @param {StorageAdapter} adapter - The adapter to read from
+   * @param {string} key - The key to read
+   * @returns {Promise<string|Object|undefined>} The record, undefined if missing or expired
+   */
+  async _getLiveRecord(adapter, key) {
+    const record = await adapter.get(key);
+    if (record !== undefined && !this._isLive(record)) {
+      this._removeIfExpired(adapter, key).catch(() => {});
+      return undefined;
+    }
+    return record;
+  }
+
+  /**
+   * Set item in storage
+   * @param {string} key - The key to store under
+   * @param {any} value - The value to store
+   * @param {Object} options - Storage options
+   * @param {number} options.ttl - Time to live in milliseconds
+   * @param {number|Date} options.expiresAt - Absolute expiry time
+   * @returns {Promise<void>}
+   */
+  async setItem(key, value, options = {}) {
+    if (typeof key !== 'string') {
+      throw new Error('Key must be a string');
+    }
+
+    const expiresAt = this._resolveExpiry(options);
+
+    const adapter = await this._initialize();
+
+    const record = await this._sealRecord(this._encodeRecord(value, expiresAt, adapter), adapter);
+    // Old record is only needed for change events
+    const trackChanges = this._hasChangeConsumers();
+
+    const { oldRecord, evicted } = await adapter.transaction('readwrite', async (tx) => {
+      const oldRecord = trackChanges ? await tx.get(key) : undefined;
+      await this._putRecord(tx, key, record);
+      return { oldRecord, evicted: await this._evict(tx, [key]) };
+    });
+
+    const oldValue = trackChanges ? await this._readRecordValue(oldRecord) : undefined;
+    await this._emitWithEvictions([{ key, oldValue, newValue: value, type: 'set' }], evicted);
+  }
+
+  /**
+   * Remove item from storage
+   * @param {string} key - The key to remove
+   * @returns {Promise<void>}
+   */
+  async removeItem(key) {
+    if (typeof key !== 'string') {
+      throw new Error('Key must be a string');
+    }
+
+    const trackChanges = this._hasChangeConsumers();
+
+    const oldRecord = await this._transaction('readwrite', async (tx) => {
+      const oldRecord = trackChanges ? await tx.get(key) : undefined;
+      await tx.delete(key);
+      return oldRecord;
+    });
+
+    const oldValue = trackChanges ? await this._readRecordValue(oldRecord) : undefined;
+    this._emit([{ key, oldValue, newValue: null, type: 'remove' }]);
+  }
+
+  /**
+   * Set value to null
+   * @param {string} key - The key to nullify
+   * @returns {Promise<void>}
+   */
+  async nullify(key) {
+    return this.setItem(key, null);
+  }
+
+  /**
+   * Set multiple items in a single transaction, all or nothing
+   * @param {Object|Iterable<Array>} data - Object or iterable of [key, value] pairs
+   * @param {Object} options - Storage options applied to every item, see setItem()
+   * @returns {Promise<void>}
+   */
+  async setMany(data, options = {}) {
+    const entries = this._normalizeEntries(data);
+    const expiresAt = this._resolveExpiry(options);
+
+    return this._writeEntries(entries.map(([key, value]) => [key, value, expiresAt]), false);
+  }
+
+  /**
+   * Write [key, value, expiresAt] items in a single transaction, all or nothing
+   * @param {Array<Array>} items - The items to write
+   * @param {boolean} replace - Whether to remove all other entries in the same transaction
+   * @param {string} scope - Key prefix limiting which entries replace removes, '' for all
+   * @returns {Promise<void>}
+   */
+  async _writeEntries(items, replace, scope = '') {
+    // A key given more than once is written once, with its last value
+    items = Array.from(new Map(items.map(item => [item[0], item])).values());
+    const adapter = await this._initialize();
+
+    // Serialize everything up front so a bad value aborts before anything is touched
+    const records = await Promise.all(items.map(async ([key, value, expiresAt]) =>
+      [key, await this._sealRecord(this._encodeRecord(value, expiresAt, adapter), adapter)]));
+    // Previous entries are only needed for change events
+    const trackChanges = this._hasChangeConsumers();
+    const keys = records.map(([key]) => key);
+
+    const { previous, evicted } = await adapter.transaction('readwrite', async (tx) => {
+      if (replace) {
+        const previous = trackChanges ? await this._readScope(tx, scope) : [];
+        await this._deleteScope(tx, scope);
+        await Promise.all(records.map(([key, record]) => this._putRecord(tx, key, record)));
+        return { previous, evicted: await this._evict(tx, keys) };
+      }
+
+      const oldRecords = trackChanges ? await this._readRecords(tx, keys) : [];
+      await Promise.all(records.map(([key, record]) => this._putRecord(tx, key, record)));
+      return {
+        previous: oldRecords.map((record, index) => [keys[index], record]),
+        evicted: await this._evict(tx, keys)
+      };
+    });
+
+    const previousValues = await Promise.all(previous.map(async ([key, record]) =>
+      [key, await this._readRecordValue(record)]));
+
+    if (replace) {
+      await this._emitWithEvictions(trackChanges ? this._replacementChanges(previousValues, items) : [], evicted);
+      return;
+    }
+
+    await this._emitWithEvictions(items.map(([key, value], index) => ({
+      key,
+      oldValue: trackChanges ? previousValues[index][1] : undefined,
+      newValue: value,
+      type: 'set'
+    })), evicted);
+  }
+
+  /**
+   * Get multiple items in a single transaction
+   * @param {string[]} keys - The keys to retrieve
+   * @returns {Promise<Array<any|null>>} Values in the order of keys, null for missing keys
+   */
+  async getMany(keys) {
+    this._validateKeys(keys);
+
+    const adapter = await this._initialize();
+    const records = await adapter.transaction('readonly', tx => this._readRecords(tx, keys));
+
+    this._touch(adapter, keys.filter((key, index) => this._isLive(records[index])));
+
+    return Promise.all(records.map(async (record, index) => {
+      if (record === undefined) {
+        return null;
+      }
+
+      if (!this._isLive(record)) {
+        this._removeIfExpired(adapter, keys[index]).catch(() => {});
+        return null;
+      }
+      return (await this._openEntry(adapter, keys[index], record)).value;
+    }));
+  }
+
+  /**
+   * Remove multiple items in a single transaction, all or nothing
+   * @param {string[]} keys - The keys to remove
+   * @returns {Promise<void>}
+   */
+  async removeMany(keys) {
+    this._validateKeys(keys);
+    keys = Array.from(new Set(keys));
+
+    const trackChanges = this._hasChangeConsumers();
+
+    const oldRecords = await this._transaction('readwrite', async (tx) => {
+      const records = trackChanges ? await this._readRecords(tx, keys) : [];
+      await Promise.all(keys.map(key => tx.delete(key)));
+      return records;
+    });
+
+    const oldValues = await Promise.all(oldRecords.map(record => this._readRecordValue(record)));
+    this._emit(keys.map((key, index) => ({
+      key,
+      oldValue: trackChanges ? oldValues[index] : undefined,
+      newValue: null,
+      type: 'remove'
+    })));
+  }
+
+  /**
+   * Normalize batch input to [key, value] pairs
+   * @param {Object|Iterable<Array>} data - Object or iterable of [key, value] pairs
+   * @returns {Array<Array>} The entries
+   */
+  _normalizeEntries(data) {
+    if (typeof data !== 'object' || data === null) {
+      throw new Error('Data must be an object or an iterable of [key, value] pairs');
+    }
+
+    const entries = typeof data[Symbol.iterator] === 'function' ? Array.from(data) : Object.entries(data);
+    for (const entry of entries) {
+      if (!Array.isArray(entry) || typeof entry[0] !== 'string') {
+        throw new Error('Key must be a string');
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Validate a list of keys
+   * @param {string[]} keys - The keys to validate
+   */
+  _validateKeys(keys) {
+    if (!Array.isArray(keys) || keys.some(key => typeof key !== 'string')) {
+      throw new Error('Keys must be an array of strings');
+    }
+  }
+
+  /**
+   * Validate a single key
+   * @param {string} key - The key to validate
+   */
+  _validateKey(key) {
+    if (typeof key !== 'string') {
+      throw new Error('Key must be a string');
+    }
+  }
+
+  /**
+   * Atomically update a value: the read and the write happen in one transaction, or optimistically
+   * in encrypted stores and for values to compress, see _readWrite(). The entry keeps its expiry, if any.
+   * @param {string} key - The key to update
+   * @param {Function} updater - Synchronous function (currentValue) => newValue, receives null if not found.
+   *   It should return a new value rather than mutate currentValue, which is reported as oldValue to listeners.
+   * @returns {Promise<any>} The new value
+   */
+  async update(key, updater) {
+    if (typeof key !== 'string') {
+      throw new Error('Key must be a string');
+    }
+    if (typeof updater !== 'function') {
+      throw new Error('Updater must be a function');
+    }
+
+    const { currentValue, newValue, evicted } = await this._readWrite(async (tx, adapter) => {
+      const record = await this._readForUpdate(tx, key);
+      let currentValue = null;
+      let expiresAt;
+
+      // Updates keep the existing expiry, expired entries count as missing
+      if (this._isLive(record)) {
+        currentValue = (await this._openEntry(adapter, key, record)).value;
+        expiresAt = this._unwrapRecord(record).expiresAt;
+      }
+      const newValue = this._applyUpdater(updater, currentValue);
+      const newRecord = await this._sealForUpdate(tx, this._encodeRecord(newValue, expiresAt, adapter), adapter);
+      await this._putRecord(tx, key, newRecord);
+      return { currentValue, newValue, evicted: await this._evict(tx, [key]) };
+    });
+
+    await this._emitWithEvictions([{ key, oldValue: currentValue, newValue, type: 'set' }], evicted);
+    return newValue;
+  }
+
+  /**
+   * Run several operations in a single readwrite transaction, all or nothing. The transaction
+   * commits once the callback resolves and is rolled back if it throws. Encrypted stores, and
+   * compressed stores writing values to compress, run it optimistically and call the callback
+   * again if another write got in between, see _readWrite().
+   * @param {Function} callback - Async function receiving tx { getItem, setItem, removeItem, increment }.
+   *   It may only await operations of tx, awaiting anything else lets an IndexedDB transaction commit early.
+   * @returns {Promise<any>} The callback result
+   */
+  async transaction(callback) {
+    return this._transactionScope(callback, '');
+  }
+
+  /**
+   * Run a transaction whose keys are relative to a key prefix, see transaction()
+   * @param {Function} callback - Receives the transaction context
+   * @param {string} scope - Key prefix added to the keys, '' for none
+   * @returns {Promise<any>} The callback result
+   */
+  async _transactionScope(callback, scope) {
+    if (typeof callback !== 'function') {
+      throw new Error('Callback must be a function');
+    }
+
+    let changes;
+    const { result, evicted } = await this._readWrite(async (tx, adapter) => {
+      // Reruns start over
+      changes = [];
+      const result = await callback(this._transactionContext(tx, adapter, scope, changes));
+      // Bounded stores evict once all writes are done, sparing the keys written
+      const written = changes.filter(change => change.type === 'set').map(change => change.key);
+      return { result, evicted: await this._evict(tx, written) };
+    });
+
+    // Listeners only hear about committed changes
+    await this._emitWithEvictions(await Promise.all(changes.map(async ({ oldRecord, ...change }) =>
+      ({ ...change, oldValue: await this._readRecordValue(oldRecord) }))), evicted);
+    return result;
+  }
+
+  /**
+   * Build the data access passed to transaction() callbacks
+   * @param {Object} tx - The adapter transaction
+   * @param {StorageAdapter} adapter - The adapter of the transaction
+   * @param {string} scope - Key prefix added to the keys, '' for none
+   * @param {Object[]} changes - Collects the change events to emit after commit
+   * @returns {Object} Context { getItem, setItem, removeItem, increment }
+   */
+  _transactionContext(tx, adapter, scope, changes) {
+    const read = async (key) => {
+      this._validateKey(key);
+      const record = await this._readForUpdate(tx, scope + key);
+      return this._isLive(record) ? record : undefined;
+    };
+
+    // Old values are decoded after commit, change events carry the old records until then
+    const write = async (key, value, expiresAt, oldRecord) => {
+      const record = await this._sealForUpdate(tx, this._encodeRecord(value, expiresAt, adapter), adapter);
+      await this._putRecord(tx, scope + key, record);
+      changes.push({ key: scope + key, oldRecord, newValue: value, type: 'set' });
+    };
+
+    return {
+      getItem: async (key, { default: defaultValue = null } = {}) => {
+        const record = await read(key);
+        const entry = record === undefined ? undefined : await this._openEntry(adapter, scope + key, record);
+        return entry && entry.exists ? entry.value : defaultValue;
+      },
+      setItem: async (key, value, options = {}) => {
+        const expiresAt = this._resolveExpiry(options);
+        const record = await read(key);
+        await write(key, value, expiresAt, record);
+      },
+      removeItem: async (key) => {
+        const record = await read(key);
+        await tx.delete(scope + key);
+        changes.push({ key: scope + key, oldRecord: record, newValue: null, type: 'remove' });
+      },
+      increment: async (key, amount = 1) => {
+        if (typeof amount !== 'number') {
+          throw new Error('Increment amount must be a number');
+        }
+
+        // Like update(), the entry keeps its expiry
+        const record = await read(key);
+        const currentValue = record === undefined ? null : (await this._openEntry(adapter, scope + key, record)).value;
+        const newValue = (typeof currentValue === 'number' ? currentValue : 0) + amount;
+        await write(key, newValue, record === undefined ? undefined : this._unwrapRecord(record).expiresAt, record);
+        return newValue;
+      }
+    };
+  }
+
+  /**
+   * Run an updater, rejecting async updaters which would outlive the transaction
+   * @param {Function} updater - The updater function
+   * @param {any} currentValue - The current value
+   * @returns {any} The new value
+   */
+  _applyUpdater(updater, currentValue) {
+    const newValue = updater(currentValue);
+    if (newValue && typeof newValue.then === 'function') {
+      throw new Error('Updater must be synchronous');
+    }
+    return newValue;
+  }
+
+  /**
+   * Increment a numeric value
+   * @param {string} key - The key to increment
+   * @param {number} amount - Amount to increment by (default: 1)
+   * @returns {Promise<number>} The new value
+   */
+  async increment(key, amount = 1) {
+    if (typeof amount !== 'number') {
+      throw new Error('Increment amount must be a number');
+    }
+
+    return this.update(key, (currentValue) => {
+      const numValue = typeof currentValue === 'number' ? currentValue : 0;
+      return numValue + amount;
+    });
+  }
+
+  /**
+   * Decrement a numeric value
+   * @param {string} key - The key to decrement
+   * @param {number} amount - Amount to decrement by (default: 1)
+   * @returns {Promise<number>} The new value
+   */
+  async decrement(key, amount = 1) {
+    return this.increment(key, -amount);
+  }
+
+  /**
+   * Toggle a boolean value
+   * @param {string} key - The key to toggle
+   * @returns {Promise<boolean>} The new value
+   */
+  async toggle(key) {
+    return this.update(key, (currentValue) => !currentValue);
+  }
+
+  /**
+   * Append to an array
+   * @param {string} key - The key containing the array
+   * @param {any} value - Value to append
+   * @returns {Promise<any[]>} The new array
+   */
+  async append(key, value) {
+    return this.update(key, (currentValue) => {
+      const array = Array.isArray(currentValue) ? currentValue : [];
+      return [...array, value];
+    });
+  }
+
+  /**
+   * Prepend to an array
+   * @param {string} key - The key containing the array
+   * @param {any} value - Value to prepend
+   * @returns {Promise<any[]>} The new array
+   */
+  async prepend(key, value) {
+    return this.update(key, (currentValue) => {
+      const array = Array.isArray(currentValue) ? currentValue : [];
+      return [value, ...array];
+    });
+  }
+
+  /**
+   * Get all keys, optionally restricted to a key range
+   * @param {Object} query - Query options, see _scan()
+   * @returns {Promise<string[]>} Array of keys
+   */
+  async keys(query = {}) {
+    if (this._isRangeQuery(query)) {
+      const entries = await this._scan(query);
+      return entries.map(([key]) => key);
+    }
+
+    return this._transaction('readonly', tx => this._liveKeys(tx));
+  }
+
+  /**
+   * Get all values in a single transaction, optionally restricted to a key range
+   * @param {Object} query - Query options, see _scan()
+   * @returns {Promise<any[]>} Array of values, rejects like getItem() if an entry cannot be decoded
+   */
+  async values(query = {}) {
+    const entries = await this._scanEntries(query);
+    return entries.map(([, value]) => value);
+  }
+
+  /**
+   * Get all key-value pairs in a single transaction, optionally restricted to a key range
+   * @param {Object} query - Query options, see _scan()
+   * @returns {Promise<Object>} Object with key-value pairs, rejects like getItem() if an entry cannot be decoded
+   */
+  async entries(query = {}) {
+    return Object.fromEntries(await this._scanEntries(query));
+  }
+
+  /**
+   * Get all key-value pairs in a single transaction as a Map in key order, see entries()
+   * @param {Object} query - Query options, see _scan()
+   * @returns {Promise<Map<string, any>>} Map of key-value pairs
+   */
+  async entriesMap(query = {}) {
+    return new Map(await this._scanEntries(query));
+  }
+
+  /**
+   * Scan entries and decode them, rejecting with the first error, see _scan() and _openEntry()
+   * @param {Object} query - Query options, see _scan()
+   * @returns {Promise<Array<Array>>} [key, value] pairs, without removed corrupt entries
+   */
+  async _scanEntries(query) {
+    this._validateQuery(query);
+    const adapter = await this._initialize();
+    const entries = await this._scan(query, adapter);
+    const opened = await Promise.all(entries.map(async ([key, record]) =>
+      [key, await this._openEntry(adapter, key, record)]));
+    return opened.filter(([, entry]) => entry.exists).map(([key, entry]) => [key, entry.value]);
+  }
+
+  /**
+   * Iterate over entries in key order, reading them in pages of short transactions
+   * @param {Object} query - Query options, see _scan()
+   * @param {number} query.pageSize - Entries read per transaction (default: 100)
+   * @returns {AsyncGenerator<Array>} [key, value] pairs
+   */
+  async *iterate({ pageSize = 100, ...query } = {}) {
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+      throw new Error('pageSize must be a positive integer');
+    }
+    this._validateQuery(query);
+
+    let remaining = query.limit === undefined ? Infinity : query.limit;
+    let after;
+
+    while (remaining > 0) {
+      const limit = Math.min(pageSize, remaining);
+      const adapter = await this._initialize();
+      const page = await this._scan({ ...query, limit, after }, adapter);
+
+      for (const [key, record] of page) {
+        const entry = await this._openEntry(adapter, key, record);
+        if (entry.exists) {
+          yield [key, entry.value];
+        }
+      }
+
+      if (page.length < limit) {
+        return;
+      }
+      remaining -= page.length;
+      after = page[page.length - 1][0];
+    }
+  }
+
+  /**
+   * Check whether query options restrict or order the result
+   * @param {Object} query - Query options
+   * @returns {boolean}
+   */
+  _isRangeQuery({ prefix, start, end, limit, reverse } = {}) {
+    return prefix !== undefined || start !== undefined || end !== undefined ||
+      limit !== undefined || reverse === true;
+  }
+
+  /**
+   * Validate query options
+   * @param {Object} query - Query options, see _scan()
+   */
+  _validateQuery({ prefix, start, end, limit, reverse } = {}) {
+    for (const [name, bound] of [['prefix', prefix], ['start', start], ['end', end]]) {
+      if (bound !== undefined && typeof bound !== 'string') {
+        throw new Error(`${name} must be a string`);
+      }
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 0)) {
+      throw new Error('limit must be a non-negative integer');
+    }
+    if (reverse !== undefined && typeof reverse !== 'boolean') {
+      throw new Error('reverse must be boolean');
+    }
+  }
+
+  /**
+   * Compute key bounds for a query
+   * @param {Object} query - Query options, see _scan()
+   * @returns {{lower: string|undefined, lowerOpen: boolean, upper: string|undefined, upperOpen: boolean, empty: boolean}}
+   */
+  _keyBounds({ prefix, start, end, after, reverse }) {
+    let lower = start;
+    let lowerOpen = false;
+    let upper = end;
+    let upperOpen = true;
+
+    if (prefix !== undefined) {
+      if (lower === undefined || prefix > lower) {
+        lower = prefix;
+        lowerOpen = false;
+      }
+      // Highest BMP character, sorts after any key continuing the prefix
+      const prefixEnd = prefix + '\uffff';
+      if (upper === undefined || prefixEnd < upper) {
+        upper = prefixEnd;
+        upperOpen = false;
+      }
+    }
+
+    // Continue after the last key of the previous page
+    if (after !== undefined) {
+      if (reverse) {
+        if (upper === undefined || after <= upper) {
+          upper = after;
+          upperOpen = true;
+        }
+      } else if (lower === undefined || after >= lower) {
+        lower = after;
+        lowerOpen = true;
+      }
+    }
+
+    const empty = lower !== undefined && upper !== undefined &&
+      (lower > upper || (lower === upper && (lowerOpen || upperOpen)));
+
+    return { lower, lowerOpen, upper, upperOpen, empty };
+  }
+
+  /**
+   * Scan entries in key order within a single transaction, skipping expired entries
+   * @param {Object} query - Query options
+   * @param {string} query.prefix - Only keys starting with prefix
+   * @param {string} query.start - Lowest key, inclusive
+   * @param {string} query.end - Highest key, exclusive
+   * @param {number} query.limit - Maximum number of entries
+   * @param {boolean} query.reverse - Scan in descending key order
+   * @param {string} query.after - Continue after this key (used for paging)
+   * @param {StorageAdapter} [adapter] - The adapter to read from, by default the one initialized
+   * @returns {Promise<Array<Array>>} [key, record] pairs
+   */
+  async _scan(query = {}, adapter) {
+    this._validateQuery(query);
+    const { limit, reverse = false } = query;
+    const bounds = this._keyBounds({ ...query, reverse });
+
+    const current = adapter || await this._initialize();
+
+    if (bounds.empty || limit === 0) {
+      return [];
+    }
+
+    return current.transaction('readonly', async (tx) => {
+      if (typeof tx.scan === 'function') {
+        return tx.scan(bounds, { reverse, limit, filter: record => this._isLive(record) });
+      }
+
+      const keys = await tx.keys(bounds);
+      if (reverse) {
+        keys.reverse();
+      }
+
+      // Read only as many records as the limit needs, more if some turn out to be expired
+      const results = [];
+      let index = 0;
+      while (index < keys.length && (limit === undefined || results.length < limit)) {
+        const chunk = keys.slice(index, limit === undefined ? keys.length : index + limit - results.length);
+        const records = await this._readRecords(tx, chunk);
+        chunk.forEach((key, offset) => {
+          if (this._isLive(records[offset])) {
+            results.push([key, records[offset]]);
+          }
+        });
+        index += chunk.length;
+      }
+      return results;
+    });
+  }
+
+  /**
+   * Replace all data with new data in a single transaction, all or nothing
+   * @param {Object|Iterable<Array>} data - Object or iterable of [key, value] pairs to replace all data
+   * @returns {Promise<void>}
+   */
+  async replaceAll(data) {
+    const entries = this._normalizeEntries(data);
+    return this._writeEntries(entries.map(([key, value]) => [key, value]), true);
+  }
+
+  /**
+   * Export all entries as a versioned, self-describing snapshot. Entries keep their stored
+   * encoding (JSON text including undefined markers, structured values or custom codec output)
+   * and expiry, so importAll() restores them faithfully. Encrypted and compressed entries are exported decrypted and uncompressed.
+   * Structured values and binary codec output are encoded so the snapshot survives JSON.stringify().
+   * @returns {Promise<Object>} The snapshot
+   */
+  async exportAll() {
+    return this._exportScope('');
+  }
+
+  /**
+   * Export the entries within a key prefix, see exportAll()
+   * @param {string} scope - Key prefix, stripped from exported keys, '' for all
+   * @returns {Promise<Object>} The snapshot
+   */
+  async _exportScope(scope) {
+    const entries = await this._scan(scope ? { prefix: scope } : {});
+    const records = await Promise.all(entries.map(async ([, record]) =>
+      this._decompressRecord(await this._decryptRecord(record))));
+
+    return {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      dbName: this.config.dbName,
+      storeName: this.config.storeName,
+      createdAt: new Date().toISOString(),
+      entries: await Promise.all(entries.map(([key], index) =>
+        this._snapshotEntry(key.slice(scope.length), records[index])))
+    };
+  }
+
+  /**
+   * Build a snapshot entry from a stored record
+   * @param {string} key - The key
+   * @param {string|Object} record - The stored record
+   * @returns {Promise<Object>} Snapshot entry { key, data, encoding?, expiresAt? }
+   */
+  async _snapshotEntry(key, record) {
+    const { data, encoding, expiresAt } = this._unwrapRecord(record);
+    const entry = { key, data: encoding === undefined ? data : await toSnapshotValue(data) };
+    if (encoding !== undefined) {
+      entry.encoding = encoding;
+    }
+    if (expiresAt !== undefined) {
+      entry.expiresAt = expiresAt;
+    }
+    return entry;
+  }
+
+  /**
+   * Import a snapshot produced by exportAll() in a single transaction, all or nothing.
+   * The snapshot is validated and decoded before anything is written.
+   * @param {Object} snapshot - The snapshot
+   * @param {Object} options - Import options
+   * @param {string} options.mode - 'merge' to keep other entries or 'replace' to remove them (default: 'merge')
+   * @returns {Promise<number>} Number of imported entries, expired entries are skipped
+   */
+  async importAll(snapshot, options = {}) {
+    return this._importScope(snapshot, options, '');
+  }
+
+  /**
+   * Import a snapshot into a key prefix, see importAll()
+   * @param {Object} snapshot - The snapshot
+   * @param {Object} options - Import options, see importAll()
+   * @param {string} scope - Key prefix added to imported keys, '' for none
+   * @returns {Promise<number>} Number of imported entries
+   */
+  async _importScope(snapshot, { mode = 'merge' } = {}, scope) {
+    if (mode !== 'merge' && mode !== 'replace') {
+      throw new Error('Import mode must be merge or replace');
+    }
+
+    this._validateSnapshot(snapshot);
+
+    const items = snapshot.entries
+      .filter(entry => !this._isExpired(entry.expiresAt))
+      .map(entry => [scope + entry.key, this._decodeRecord(this._restoreEntry(snapshot, entry)), entry.expiresAt]);
+
+    await this._writeEntries(items, mode === 'replace', scope);
+    return items.length;
+  }
+
+  /**
+   * Restore the stored data of a snapshot entry, see toSnapshotValue()
+   * @param {Object} snapshot - The validated snapshot
+   * @param {Object} entry - One of its entries
+   * @returns {Object} The entry with its data as stored
+   */
+  _restoreEntry(snapshot, entry) {
+    if (entry.encoding === undefined || snapshot.version === 1) {
+      return entry;
+    }
+
+    try {
+      return { ...entry, data: fromSnapshotValue(entry.data) };
+    } catch (cause) {
+      const error = new Error(`Invalid snapshot: malformed data of entry ${entry.key}: ${cause.message}`);
+      error.code = ERROR_CODES.INVALID_SNAPSHOT;
+      throw error;
+    }
+  }
+
+  /**
+   * Validate the structure of a snapshot
+   * @param {Object} snapshot - The snapshot to validate
+   */
+  _validateSnapshot(snapshot) {
+    let problem = null;
+
+    if (typeof snapshot !== 'object' || snapshot === null || snapshot.format !== SNAPSHOT_FORMAT) {
+      problem = 'not a tiny-idb-helper snapshot';
+    } else if (!SNAPSHOT_VERSIONS.includes(snapshot.version)) {
+      problem = `unsupported version ${snapshot.version}`;
+    } else if (!Array.isArray(snapshot.entries)) {
+      problem = 'entries must be an array';
+    } else {
+      const index = snapshot.entries.findIndex(entry =>
+        typeof entry !== 'object' || entry === null ||
+        typeof entry.key !== 'string' ||
+        !('data' in entry) ||
+        ![undefined, 'structured', 'custom'].includes(entry.encoding) ||
+        (entry.encoding === undefined && typeof entry.data !== 'string') ||
+        (entry.expiresAt !== undefined && typeof entry.expiresAt !== 'number')
+      );
+      if (index !== -1) {
+        problem = `malformed entry at index ${index}`;
+      }
+    }
+
+    if (problem) {
+      const error = new Error(`Invalid snapshot: ${problem}`);
+      error.code = ERROR_CODES.INVALID_SNAPSHOT;
+      throw error;
+    }
+  }
+
+  /**
+   * Build change events for replacing previous entries with new ones
+   * @param {Array<Array>} previous - Previous [key, value] pairs
+   * @param {Array<Array>} entries - New [key, value, expiresAt] items
+   * @returns {Object[]} Change events
+   */
+  _replacementChanges(previous, entries) {
+    const previousValues = new Map(previous);
+    const newKeys = new Set(entries.map(([key]) => key));
+
+    return [
+      ...previous
+        .filter(([key]) => !newKeys.has(key))
+        .map(([key, oldValue]) => ({ key, oldValue, newValue: null, type: 'clear' })),
+      ...entries.map(([key, value]) => ({
+        key,
+        oldValue: previousValues.has(key) ? previousValues.get(key) : null,
+        newValue: value,
+        type: 'set'
+      }))
+    ];
+  }
+
+  /**
+   * Get the number of items in storage
+   * @returns {Promise<number>} Number of items
+   */
+  async length() {
+    return this._transaction('readonly', async (tx) => {
+      const [count, expiredKeys] = await Promise.all([tx.count(), this._expiredKeys(tx)]);
+      return count - expiredKeys.length;
+    });
+  }
+
+  /**
+   * Remove all expired entries
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async purgeExpired() {
+    return this._transaction('readwrite', async (tx) => {
+      const expiredKeys = await this._expiredKeys(tx);
+      await Promise.all(expiredKeys.map(key => tx.delete(key)));
+      return expiredKeys.length;
+    });
+  }
+
+  /**
+   * Check every entry of the store for stored data that cannot be decoded. Optionally moves
+   * corrupt entries into a namespace as { key, data, binary, code, message } values, data being
+   * the undecodable data, base64 if binary, so they can be inspected and repaired.
+   * Entries that can't be read for other reasons, such as a wrong key, are reported as unreadable
+   * and left in place. Unlike reads, verify() ignores the onCorrupt option.
+   * @param {Object} options - Verify options
+   * @param {string} options.quarantine - Namespace to move corrupt entries to (default: none)
+   * @returns {Promise<{checked: number, corrupt: Array<{key: string, code: string, message: string}>,
+   *   unreadable: Array<{key: string, code: string, message: string}>, quarantined: number}>} The report
+   */
+  async verify({ quarantine } = {}) {
+    const prefix = quarantine === undefined ? null : this.namespace(quarantine).prefix;
+    const adapter = await this._initialize();
+    const entries = await this._scan({}, adapter);
+
+    const corrupt = [];
+    const unreadable = [];
+    for (const [key, record] of entries) {
+      // Track how far the record decodes, the quarantine keeps the data that failed
+      let data;
+      try {
+        const decrypted = await this._decryptRecord(record);
+        data = this._unwrapRecord(decrypted).data;
+        const decompressed = await this._decompressRecord(decrypted);
+        data = this._unwrapRecord(decompressed).data;
+        this._decodeRecord(decompressed);
+      } catch (error) {
+        if (error.corrupt) {
+          corrupt.push({ key, record, data, error });
+        } else if (error.code !== undefined) {
+          unreadable.push({ key, code: error.code, message: error.message });
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    const report = {
+      checked: entries.length,
+      corrupt: corrupt.map(({ key, error }) => ({ key, code: error.code, message: error.message })),
+      unreadable,
+      quarantined: 0
+    };
+    if (prefix === null || corrupt.length === 0) {
+      return report;
+    }
+
+    const moves = await Promise.all(corrupt.map(async ({ key, record, data, error }) => {
+      const binary = data instanceof Uint8Array || data instanceof ArrayBuffer;
+      const value = {
+        key,
+        data: binary ? toBase64(data) : data,
+        binary,
+        code: error.code,
+        message: error.message
+      };
+      const sealed = await this._sealRecord(this._encodeRecord(value, undefined, adapter), adapter);
+      return { key, record, target: prefix + key, value, sealed };
+    }));
+
+    // Entries rewritten since the scan are left alone
+    const moved = await adapter.transaction('readwrite', async (tx) => {
+      const results = [];
+      for (const move of moves) {
+        if (!sameRecord(await tx.get(move.key), move.record)) {
+          continue;
+        }
+        const oldRecord = await tx.get(move.target);
+        await this._putRecord(tx, move.target, move.sealed);
+        await tx.delete(move.key);
+        results.push({ ...move, oldRecord });
+      }
+      return results;
+    });
+
+    const changes = await Promise.all(moved.map(async ({ key, target, value, oldRecord }) => [
+      { key, oldValue: null, newValue: null, type: 'remove' },
+      { key: target, oldValue: await this._readRecordValue(oldRecord), newValue: value, type: 'set' }
+    ]));
+    this._emit(changes.flat());
+
+    report.quarantined = moved.length;
+    return report;
+  }
+
+  /**
+   * Re-encrypt all entries with a new key in a single transaction, all or nothing, and use
+   * the new key from then on. Unencrypted entries are encrypted, so this also turns encryption
+   * on for an existing store. Run it while nothing else writes to the store: writes still
+   * encrypting with the old key when the rotation commits would become unreadable.
+   * @param {CryptoKey|string} newKey - AES-GCM CryptoKey or passphrase
+   * @returns {Promise<number>} Number of re-encrypted entries
+   */
+  async rotateKey(newKey) {
+    if (!this._isEncryptionKey(newKey)) {
+      throw new Error('Encryption key must be an AES-GCM CryptoKey or a non-empty passphrase');
+    }
+    if (this.config.serialization === 'structured') {
+      throw new Error('Encryption cannot be combined with structured serialization');
+    }
+
+    const oldEncryption = this.config.encryption;
+    const newEncryption = { key: newKey };
+
+    const count = await this._readWrite(async (tx, adapter) => {
+      const keys = await tx.keys();
+      const records = await Promise.all(keys.map(key => tx.get(key)));
+      // Decrypt everything before writing, an unreadable entry leaves the store untouched
+      const decrypted = await Promise.all(records.map(record => this._decryptRecord(record, oldEncryption)));
+      const encrypted = await Promise.all(decrypted.map(record => this._encryptRecord(record, adapter, newEncryption)));
+      await Promise.all(keys.map((key, index) => tx.put(key, encrypted[index])));
+      return keys.length;
+    }, true);
+
+    this.config.encryption = newEncryption;
+    return count;
+  }
+
+  /**
+   * Check if a key exists
+   * @param {string} key - The key to check
+   * @returns {Promise<boolean>} True if key exists
+   */
+  async has(key) {
+    if (typeof key !== 'string') {
+      throw new Error('Key must be a string');
+    }
+
+    const adapter = await this._initialize();
+
+    // Only the record's expiry is read, so stored nulls and undecryptable entries count as existing
+    return (await this._getLiveRecord(adapter, key)) !== undefined;
+  }
+
+  /**
+   * Subscribe to changes of a single key
+   * @param {string} key - The key to watch
+   * @param {Function} listener - Called with { key, oldValue, newValue, type } after each committed change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(key, listener) {
+    if (typeof key !== 'string') {
+      throw new Error('Key must be a string');
+    }
+    if (typeof listener !== 'function') {
+      throw new Error('Listener must be a function');
+    }
+
+    if (!this.keyListeners.has(key)) {
+      this.keyListeners.set(key, new Set());
+    }
+    this.keyListeners.get(key).add(listener);
+
+    return () => {
+      const listeners = this.keyListeners.get(key);
+      if (listeners) {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+          this.keyListeners.delete(key);
+        }
+      }
+    };
+  }
+
+  /**
+   * Subscribe to changes of all keys
+   * @param {Function} listener - Called with { key, oldValue, newValue, type } after each committed change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeAll(listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Listener must be a function');
+    }
+
+    this.globalListeners.add(listener);
+    return () => {
+      this.globalListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Subscribe to connection lifecycle events
+   * @param {Function} listener - Called with { type, backend, ... }, type being 'open', 'blocked', 'closed' or 'fallback'
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeLifecycle(listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Listener must be a function');
+    }
+
+    this.lifecycleListeners.add(listener);
+    return () => {
+      this.lifecycleListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Check whether change events have any consumer, local listeners or other tabs
+   * @returns {boolean}
+   */
+  _hasChangeConsumers() {
+    return this.keyListeners.size > 0 || this.globalListeners.size > 0 || this.channel !== null;
+  }
+
+  /**
+   * Publish committed changes to local listeners and other tabs
+   * @param {Object[]} changes - Change events { key, oldValue, newValue, type }
+   */
+  _emit(changes) {
+    if (changes.length === 0) {
+      return;
+    }
+
+    this._notify(changes);
+
+    if (this.channel) {
+      try {
+        this.channel.postMessage({ storeName: this.config.storeName, changes });
+      } catch (error) {
+        console.warn('Failed to broadcast changes:', error);
+      }
+    }
+  }
+
+  /**
+   * Notify local listeners about changes
+   * @param {Object[]} changes - Change events { key, oldValue, newValue, type }
+   */
+  _notify(changes) {
+    for (const change of changes) {
+      const listeners = [
+        ...(this.keyListeners.get(change.key) || []),
+        ...this.globalListeners
+      ];
+
+      for (const listener of listeners) {
+        try {
+          listener(change);
+        } catch (error) {
+          console.error('Change listener failed:', error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Notify lifecycle listeners
+   * @param {Object} event - Lifecycle event { type, backend, ... }
+   */
+  _emitLifecycle(event) {
+    for (const listener of this.lifecycleListeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Lifecycle listener failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Check if currently using memory fallback
+   * @returns {boolean}
+   */
+  isUsingMemoryFallback() {
+    return this.backend === 'memory';
+  }
+
+  /**
+   * Get the active storage backend
+   * @returns {string|null} Name of the adapter in use, e.g. 'indexeddb' or 'memory', null until initialized
+   */
+  getBackend() {
+    return this.backend;
+  }
+
+  /**
+   * Close the connection, the next call opens it again. Transactions already started finish first.
+   * The memory fallback keeps nothing once closed, like when reconfiguring.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.initPromise) {
+      await this.initPromise.catch(() => {});
+    }
+    if (!this.adapter) {
+      return;
+    }
+
+    const { adapter } = this;
+    this._resetConnection();
+    adapter.close();
+    this._emitLifecycle({ type: 'closed', backend: adapter.name, reason: 'close' });
+  }
+
+  /**
+   * Close the connection and delete the IndexedDB database with all its stores. Waits while other
+   * connections to the database stay open, reporting 'blocked' lifecycle events meanwhile.
+   * Other backends are only closed, clear() empties them.
+   * @returns {Promise<void>}
+   */
+  async deleteDatabase() {
+    await this.close();
+
+    // Nothing to delete where IndexedDB never was available
+    if (typeof window === 'undefined' || !window.indexedDB) {
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      const request = indexedDB.deleteDatabase(this.config.dbName);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(storageFailure('Failed to delete database', request.error));
+      request.onblocked = () => {
+        this._emitLifecycle({ type: 'blocked', backend: 'indexeddb' });
+      };
+    });
+  }
+
+  /**
+   * Estimate the space taken by the entries, expired entries included until they are purged
+   * @returns {Promise<Object>} Usage { keys, total, estimate }: approximate bytes per key and in total,
+   *   and navigator.storage.estimate()'s { usage, quota } for the whole origin, null where unavailable
+   */
+  async usage() {
+    return this._usage('');
+  }
+
+  /**
+   * Estimate the space taken by the entries within a key prefix, see usage()
+   * @param {string} scope - Key prefix, stripped from the reported keys, '' for all
+   * @returns {Promise<Object>} The usage
+   */
+  async _usage(scope) {
+    const [entries, estimate] = await Promise.all([
+      this._transaction('readonly', tx => this._readScope(tx, scope)),
+      this._storageEstimate()
+    ]);
+
+    const keys = {};
+    let total = 0;
+    for (const [key, record] of entries) {
+      const size = approximateSize(key) + approximateSize(record);
+      keys[key.slice(scope.length)] = size;
+      total += size;
+    }
+    return { keys, total, estimate };
+  }
+
+  /**
+   * Get the StorageManager of the environment
+   * @returns {StorageManager|null}
+   */
+  _storageManager() {
+    return typeof navigator !== 'undefined' && navigator.storage ? navigator.storage : null;
+  }
+
+  /**
+   * Ask the browser how much the origin stores and may store
+   * @returns {Promise<Object|null>} { usage, quota } in bytes, null where unavailable
+   */
+  async _storageEstimate() {
+    const storage = this._storageManager();
+    if (!storage || typeof storage.estimate !== 'function') {
+      return null;
+    }
+
+    try {
+      const { usage, quota } = await storage.estimate();
+      return { usage, quota };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Ask the browser to keep the origin's data under storage pressure instead of evicting it
+   * @returns {Promise<boolean>} Whether storage is persistent, false where unsupported
+   */
+  async requestPersistence() {
+    const storage = this._storageManager();
+    if (!storage || typeof storage.persist !== 'function') {
+      return false;
+    }
+
+    try {
+      if (typeof storage.persisted === 'function' && await storage.persisted()) {
+        return true;
+      }
+      return await storage.persist();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Report what compression saves, over the entries currently stored
+   * @returns {Promise<Object>} Stats { entries, compressedEntries, originalBytes, compressedBytes, savedBytes },
+   *   byte counts cover the compressed entries
+   */
+  async getCompressionStats() {
+    return this._compressionStats('');
+  }
+
+  /**
+   * Report compression savings within a key prefix, see getCompressionStats()
+   * @param {string} scope - Key prefix, '' for all entries
+   * @returns {Promise<Object>} The stats
+   */
+  async _compressionStats(scope) {
+    const entries = await this._scan(scope ? { prefix: scope } : {});
+    const stats = { entries: entries.length, compressedEntries: 0, originalBytes: 0, compressedBytes: 0, savedBytes: 0 };
+
+    for (const [, record] of entries) {
+      if (this._isCompressed(record)) {
+        stats.compressedEntries++;
+        stats.originalBytes += record.compression.size;
+        stats.compressedBytes += record.compression.compressedSize;
+      }
+    }
+    stats.savedBytes = stats.originalBytes - stats.compressedBytes;
+    return stats;
+  }
+
+  /**
+   * Clear all data
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    return this._clearScope('');
+  }
+
+  /**
+   * Remove all entries within a key prefix in a single transaction
+   * @param {string} scope - Key prefix, '' for all entries
+   * @returns {Promise<void>}
+   */
+  async _clearScope(scope) {
+    // Removed entries are only needed for change events
+    const trackChanges = this._hasChangeConsumers();
+
+    const previous = await this._transaction('readwrite', async (tx) => {
+      const entries = trackChanges ? await this._readScope(tx, scope) : [];
+      await this._deleteScope(tx, scope);
+      return entries;
+    });
+
+    const oldValues = await Promise.all(previous.map(([, record]) => this._readRecordValue(record)));
+    this._emit(previous.map(([key], index) => ({
+      key,
+      oldValue: oldValues[index],
+      newValue: null,
+      type: 'clear'
+    })));
+  }
+
+  /**
+   * Get the key range of a key prefix
+   * @param {string} scope - Key prefix, '' for all keys
+   * @returns {Object|undefined} The key range, undefined for all keys
+   */
+  _scopeRange(scope) {
+    return scope ? this._keyBounds({ prefix: scope }) : undefined;
+  }
+
+  /**
+   * Delete all entries within a key prefix
+   * @param {Object} tx - The transaction
+   * @param {string} scope - Key prefix, '' for all entries
+   * @returns {Promise<void>}
+   */
+  async _deleteScope(tx, scope) {
+    if (!scope) {
+      await tx.clear();
+      return;
+    }
+
+    const keys = await tx.keys(this._scopeRange(scope));
+    await Promise.all(keys.map(key => tx.delete(key)));
+  }
+
+  /**
+   * Get a view of this store scoped to a namespace
+   * @param {string} name - Namespace name, must not contain ':'
+   * @returns {TinyIDBNamespace}
+   */
+  namespace(name) {
+    return new TinyIDBNamespace(this, '', name);
+  }
+}
+
+/**
+ * View of a store whose keys live in a namespace. Keys are stored as 'name:key' in the
+ * underlying store, so views share its connection, fallback state and configuration.
+ * Methods mirror TinyIDBHelper with keys relative to the namespace.
+ */
+class TinyIDBNamespace {
+  /**
+   * @param {TinyIDBHelper} store - The underlying store
+   * @param {string} parentPrefix - Prefix of the enclosing namespace, '' for none
+   * @param {string} name - Namespace name
+   */
+  constructor(store, parentPrefix, name) {
+    if (typeof name !== 'string' || name === '' || name.includes(NAMESPACE_SEPARATOR)) {
+      throw new Error(`Namespace must be a non-empty string without '${NAMESPACE_SEPARATOR}'`);
+    }
+
+    this.store = store;
+    this.name = name;
+    this.prefix = parentPrefix + name + NAMESPACE_SEPARATOR;
+  }
+
+  /**
+   * Map a key to its key in the underlying store
+   * @param {string} key - The key
+   * @returns {string} The prefixed key
+   */
+  _key(key) {
+    if (typeof key !== 'string') {
+      throw new Error('Key must be a string');
+    }
+    return this.prefix + key;
+  }
+
+  /**
+   * Map a key of the underlying store back to the namespace
+   * @param {string} key - The prefixed key
+   * @returns {string} The key
+   */
+  _unprefix(key) {
+    return key.slice(this.prefix.length);
+  }
+
+  /**
+   * Map query options to the namespace's key range
+   * @param {Object} query - Query options, see keys()
+   * @returns {Object} Query options for the underlying store
+   */
+  _query({ prefix = '', start, end, ...rest } = {}) {
+    if (typeof prefix !== 'string') {
+      throw new Error('prefix must be a string');
+    }
+    return {
+      ...rest,
+      prefix: this.prefix + prefix,
+      start: typeof start === 'string' ? this.prefix + start : start,
+      end: typeof end === 'string' ? this.prefix + end : end
+    };
+  }
+
+  /**
+   * Map a change event of the underlying store to the namespace
+   * @param {Object} change - Change event
+   * @returns {Object} Change event with the namespace key
+   */
+  _change(change) {
+    return { ...change, key: this._unprefix(change.key) };
+  }
+
+  async getItem(key, options) {
+    return this.store.getItem(this._key(key), options);
+  }
+
+  async getEntry(key) {
+    return this.store.getEntry(this._key(key));
+  }
+
+  async setItem(key, value, options) {
+    return this.store.setItem(this._key(key), value, options);
+  }
+
+  async removeItem(key) {
+    return this.store.removeItem(this._key(key));
+  }
+
+  async nullify(key) {
+    return this.store.nullify(this._key(key));
+  }
+
+  async has(key) {
+    return this.store.has(this._key(key));
+  }
+
+  async setMany(data, options) {
+    const entries = this.store._normalizeEntries(data);
+    return this.store.setMany(entries.map(([key, value]) => [this.prefix + key, value]), options);
+  }
+
+  async getMany(keys) {
+    this.store._validateKeys(keys);
+    return this.store.getMany(keys.map(key => this.prefix + key));
+  }
+
+  async removeMany(keys) {
+    this.store._validateKeys(keys);
+    return this.store.removeMany(keys.map(key => this.prefix + key));
+  }
+
+  async update(key, updater) {
+    return this.store.update(this._key(key), updater);
+  }
+
+  async increment(key, amount) {
+    return this.store.increment(this._key(key), amount);
+  }
+
+  /**
+   * Run several operations in a single transaction, tx keys are relative to the namespace
+   * @param {Function} callback - See TinyIDBHelper#transaction()
+   * @returns {Promise<any>} The callback result
+   */
+  async transaction(callback) {
+    return this.store._transactionScope(callback, this.prefix);
+  }
+
+  async decrement(key, amount) {
+    return this.store.decrement(this._key(key), amount);
+  }
+
+  async toggle(key) {
+    return this.store.toggle(this._key(key));
+  }
+
+  async append(key, value) {
+    return this.store.append(this._key(key), value);
+  }
+
+  async prepend(key, value) {
+    return this.store.prepend(this._key(key), value);
+  }
+
+  async keys(query) {
+    const keys = await this.store.keys(this._query(query));
+    return keys.map(key => this._unprefix(key));
+  }
+
+  async values(query) {
+    return this.store.values(this._query(query));
+  }
+
+  async entries(query) {
+    return Object.fromEntries(await this.entriesMap(query));
+  }
+
+  async entriesMap(query) {
+    const entries = await this.store.entriesMap(this._query(query));
+    return new Map([...entries].map(([key, value]) => [this._unprefix(key), value]));
+  }
+
+  async *iterate({ pageSize, ...query } = {}) {
+    for await (const [key, value] of this.store.iterate({ pageSize, ...this._query(query) })) {
+      yield [this._unprefix(key), value];
+    }
+  }
+
+  async length() {
+    const keys = await this.store.keys(this._query());
+    return keys.length;
+  }
+
+  /**
+   * Remove all entries of the namespace, other keys are kept
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    return this.store._clearScope(this.prefix);
+  }
+
+  /**
+   * Replace all entries of the namespace in a single transaction, other keys are kept
+   * @param {Object|Iterable} data - Object or iterable of [key, value] pairs
+   * @returns {Promise<void>}
+   */
+  async replaceAll(data) {
+    const entries = this.store._normalizeEntries(data);
+    return this.store._writeEntries(entries.map(([key, value]) => [this.prefix + key, value]), true, this.prefix);
+  }
+
+  /**
+   * Export the namespace, keys in the snapshot are relative to it
+   * @returns {Promise<Object>} The snapshot
+   */
+  async exportAll() {
+    return this.store._exportScope(this.prefix);
+  }
+
+  /**
+   * Import a snapshot into the namespace, replace mode only removes keys of the namespace
+   * @param {Object} snapshot - The snapshot
+   * @param {Object} options - Import options, see TinyIDBHelper#importAll()
+   * @returns {Promise<number>} Number of imported entries
+   */
+  async importAll(snapshot, options) {
+    return this.store._importScope(snapshot, options, this.prefix);
+  }
+
+  /**
+   * Estimate the space taken by the namespace, keys are relative to it
+   * @returns {Promise<Object>} See TinyIDBHelper#usage()
+   */
+  async usage() {
+    return this.store._usage(this.prefix);
+  }
+
+  /**
+   * Report compression savings within the namespace
+   * @returns {Promise<Object>} See TinyIDBHelper#getCompressionStats()
+   */
+  async getCompressionStats() {
+    return this.store._compressionStats(this.prefix);
+  }
+
+  subscribe(key, listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Listener must be a function');
+    }
+    return this.store.subscribe(this._key(key), change => listener(this._change(change)));
+  }
+
+  subscribeAll(listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Listener must be a function');
+    }
+    return this.store.subscribeAll(change => {
+      if (change.key.startsWith(this.prefix)) {
+        listener(this._change(change));
+      }
+    });
+  }
+
+  isUsingMemoryFallback() {
+    return this.store.isUsingMemoryFallback();
+  }
+
+  getBackend() {
+    return this.store.getBackend();
+  }
+
+  /**
+   * Get a view of a namespace nested in this one
+   * @param {string} name - Namespace name, must not contain ':'
+   * @returns {TinyIDBNamespace}
+   */
+  namespace(name) {
+    return new TinyIDBNamespace(this.store, this.prefix, name);
+  }
+}
+
+/**
+ * Base class of storage adapters, the backends a store delegates to. An adapter keeps the
+ * records of one store under string keys and runs all data access in transactions:
+ *
+ * - transaction(mode, callback) runs callback(tx) with mode 'readonly' or 'readwrite'. tx offers
+ *   get(key), put(key, record), delete(key), clear(), keys(range) and count(range), each returning
+ *   a promise; callbacks may only await these. The transaction commits once the callback's promise
+ *   resolves and resolves to its value, or rolls back and rejects with the callback's error.
+ * - open(context) connects and brings the store to context.schemaVersion, see open().
+ * - close() releases the connection, open() may be called again afterwards.
+ *
+ * Records are strings or plain objects; an object's expiresAt holds its expiry timestamp.
+ * Ranges are { lower, upper, lowerOpen, upperOpen }, an undefined bound is unrestricted, and
+ * keys() returns keys in ascending order. tx.expiredKeys(now) is optional, adapters that can
+ * find expired records without reading every record provide it. So is
+ * tx.scan(range, { reverse, limit, filter }), resolving to the [key, record] pairs of the range
+ * in key order, descending if reverse, that pass filter(record), stopping after limit pairs;
+ * adapters that can stop reading early provide it, range queries read every key otherwise.
+ *
+ * Bounded stores (maxEntries, maxBytes) also need access statistics { accessedAt, hits, size },
+ * kept apart from the records so reads don't rewrite them: tx.getAccess(key), tx.putAccess(key,
+ * access), tx.accessTotals() resolving to { count, bytes } over the keys with statistics, and
+ * tx.walkAccess(policy, visit), calling visit(key, access) in the order of ACCESS_ORDER[policy]
+ * until it returns false. delete(key) and clear() drop the statistics along with the records.
+ * Adapters keeping running totals recompute them from the statistics on
+ * tx.accessTotals({ recount: true }).
+ *
+ * Adapters may leave the statistics out of transactions while context.accessStatistics is false.
+ *
+ * Store-level metadata, such as the salt passphrases are stretched with, is read and written
+ * with tx.getMeta(name) and tx.putMeta(name, value). Both are optional, and clear() keeps it.
+ * Only transactions started with { meta: true } use them.
+ */
+class StorageAdapter {
+  constructor() {
+    this.name = 'custom';
+    // Set by adapters that can only persist records whose data is a string
+    this.textOnly = false;
+  }
+
+  /**
+   * Connect to the storage and upgrade the store's schema version. When the stored version is
+   * lower than context.schemaVersion, call context.upgrade(tx, storedVersion) inside a readwrite
+   * transaction and store the version it resolves to in the same transaction.
+   * @param {Object} context - Store to open
+   * @param {string} context.dbName - Database name
+   * @param {string} context.storeName - Store name
+   * @param {number} context.schemaVersion - Schema version the store must reach
+   * @param {boolean} context.accessStatistics - Whether transactions keep access statistics, see StorageAdapter
+   * @param {boolean} context.migrateLegacyLayout - Whether to move data of the old ES module build into the store
+   * @param {Function} context.upgrade - (tx, oldVersion) => Promise<number>, runs the pending migrations
+   * @param {Function} context.onBlocked - Call while other connections keep the storage from opening
+   * @param {Function} context.onClose - Call with a reason ('versionchange' or 'lost') when the connection was closed from outside
+   * @returns {Promise<void>} Rejects with code NOT_SUPPORTED when the storage is unavailable
+   */
+  async open(context) {
+    const error = new Error(`Storage adapter ${this.name} does not implement open()`);
+    error.code = ERROR_CODES.NOT_SUPPORTED;
+    throw error;
+  }
+
+  /**
+   * Run a callback in a transaction, all or nothing
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the transaction, may only await its operations
+   * @param {Object} [options] - { meta } when the callback reads or writes metadata
+   * @returns {Promise<any>} The callback result, once the transaction committed
+   */
+  transaction(mode, callback, options) {
+    const error = new Error(`Storage adapter ${this.name} does not implement transaction()`);
+    error.code = ERROR_CODES.NOT_SUPPORTED;
+    return Promise.reject(error);
+  }
+
+  /**
+   * Release the connection
+   */
+  close() {}
+
+  get(key) {
+    return this.transaction('readonly', tx => tx.get(key));
+  }
+
+  put(key, record) {
+    return this.transaction('readwrite', tx => tx.put(key, record));
+  }
+
+  delete(key) {
+    return this.transaction('readwrite', tx => tx.delete(key));
+  }
+
+  clear() {
+    return this.transaction('readwrite', tx => tx.clear());
+  }
+
+  keys(range) {
+    return this.transaction('readonly', tx => tx.keys(range));
+  }
+
+  count(range) {
+    return this.transaction('readonly', tx => tx.count(range));
+  }
+}
+
+/**
+ * Adapter keeping records in memory. Transactions run one at a time against a journal of pending
+ * writes, which is applied on commit and dropped on rollback. Subclasses persisting the records
+ * elsewhere override _load(), _read(), _readKeys() and _commit().
+ */
+class MemoryAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.name = 'memory';
+    this.records = new Map();
+    this.schemaVersion = 0;
+    this.meta = new Map();
+    this.queue = Promise.resolve();
+    // Access statistics are only kept in memory, also by subclasses persisting the records
+    this.access = new Map();
+    this.accessBytes = 0;
+  }
+
+  /**
+   * Load the records and run pending migrations in a single transaction
+   * @param {Object} context - Store to open, see StorageAdapter#open()
+   * @returns {Promise<void>}
+   */
+  async open({ schemaVersion, upgrade }) {
+    await this._load();
+
+    if (this.schemaVersion < schemaVersion) {
+      await this._run('readwrite', async (tx) => {
+        tx.schemaVersion = await upgrade(tx, this.schemaVersion);
+      }, () => {
+        const error = new Error('Upgrade failed: migrations may only await operations of their context');
+        error.code = ERROR_CODES.UPGRADE_FAILURE;
+        return error;
+      });
+    }
+  }
+
+  /**
+   * Run a callback in a transaction, after all earlier transactions finished
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the transaction
+   * @returns {Promise<any>} The callback result, once the transaction committed
+   */
+  transaction(mode, callback) {
+    return this._run(mode, callback, () => {
+      const error = new Error('Transaction is no longer active: callbacks may only await operations of the transaction');
+      error.code = ERROR_CODES.TRANSACTION_FAILURE;
+      return error;
+    });
+  }
+
+  /**
+   * Run a callback in a transaction once earlier ones finished. Operations of the transaction
+   * settle without waiting for a timer, so a callback still pending when one fires awaits
+   * something else, such as a call on the store queued behind this very transaction. Like
+   * IndexedDB, give up on it then, rolling back, instead of waiting for each other forever.
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the transaction
+   * @param {Function} stalledError - Builds the error to reject with when the callback stalls
+   * @returns {Promise<any>} The callback result, once the transaction committed
+   */
+  _run(mode, callback, stalledError) {
+    const run = this.queue.then(async () => {
+      const tx = new MemoryTransaction(this, mode);
+      let timer;
+      const stalled = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(stalledError()), 0);
+      });
+      const pending = Promise.resolve().then(() => callback(tx));
+      // A stalled callback may still fail later, when the transaction is gone
+      pending.catch(() => {});
+
+      try {
+        const result = await Promise.race([pending, stalled]);
+        clearTimeout(timer);
+        // Transactions that only updated access statistics leave the records alone
+        if (mode === 'readwrite' && (tx.writes.size > 0 || tx.cleared || tx.schemaVersion !== undefined || tx.metaWrites.size > 0)) {
+          await this._commit(tx);
+        }
+        if (mode === 'readwrite') {
+          this._commitAccess(tx);
+        }
+        return result;
+      } finally {
+        clearTimeout(timer);
+        tx.active = false;
+      }
+    });
+
+    // Later transactions wait for this one, whatever its outcome
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Load persisted records, schema version and metadata, nothing to do in memory
+   * @returns {Promise<void>}
+   */
+  async _load() {}
+
+  /**
+   * Read committed store metadata
+   * @param {string} name - The name
+   * @returns {string|undefined} The value
+   */
+  _readMeta(name) {
+    return this.meta.get(name);
+  }
+
+  /**
+   * Read a committed record
+   * @param {string} key - The key
+   * @returns {string|Object|undefined} The record
+   */
+  _read(key) {
+    return this.records.get(key);
+  }
+
+  /**
+   * List the keys of committed records
+   * @returns {string[]} The keys, in any order
+   */
+  _readKeys() {
+    return Array.from(this.records.keys());
+  }
+
+  /**
+   * Apply the journal of a transaction
+   * @param {MemoryTransaction} tx - The transaction
+   * @returns {Promise<void>}
+   */
+  async _commit(tx) {
+    this._applyJournal(this.records, tx);
+    if (tx.schemaVersion !== undefined) {
+      this.schemaVersion = tx.schemaVersion;
+    }
+    for (const [name, value] of tx.metaWrites) {
+      this.meta.set(name, value);
+    }
+  }
+
+  /**
+   * Apply the access statistics written by a committed transaction
+   * @param {MemoryTransaction} tx - The transaction
+   */
+  _commitAccess(tx) {
+    if (tx.accessCleared) {
+      this.access.clear();
+      this.accessBytes = 0;
+    }
+    for (const [key, access] of tx.accessWrites) {
+      const previous = this.access.get(key);
+      if (previous) {
+        this.accessBytes -= previous.size;
+      }
+      if (access === DELETED) {
+        this.access.delete(key);
+      } else {
+        this.access.set(key, access);
+        this.accessBytes += access.size;
+      }
+    }
+  }
+
+  /**
+   * Apply the journal of a transaction to a map of records
+   * @param {Map} records - The records to change
+   * @param {MemoryTransaction} tx - The transaction
+   */
+  _applyJournal(records, tx) {
+    if (tx.cleared) {
+      records.clear();
+    }
+    for (const [key, record] of tx.writes) {
+      if (record === DELETED) {
+        records.delete(key);
+      } else {
+        records.set(key, record);
+      }
+    }
+  }
+}
+
+/**
+ * Transaction of a MemoryAdapter, reads see the transaction's own pending writes
+ */
+class MemoryTransaction {
+  /**
+   * @param {MemoryAdapter} adapter - The adapter
+   * @param {string} mode - 'readonly' or 'readwrite'
+   */
+  constructor(adapter, mode) {
+    this.adapter = adapter;
+    this.mode = mode;
+    this.writes = new Map();
+    this.cleared = false;
+    this.accessWrites = new Map();
+    this.accessCleared = false;
+    this.metaWrites = new Map();
+    this.schemaVersion = undefined;
+    this.active = true;
+  }
+
+  /**
+   * Check that an operation is allowed
+   * @param {boolean} write - Whether the operation writes
+   */
+  _check(write) {
+    let problem = null;
+    if (!this.active) {
+      problem = 'Transaction is no longer active';
+    } else if (write && this.mode !== 'readwrite') {
+      problem = 'Transaction is read-only';
+    }
+
+    if (problem) {
+      const error = new Error(problem);
+      error.code = ERROR_CODES.TRANSACTION_FAILURE;
+      throw error;
+    }
+  }
+
+  async get(key) {
+    this._check(false);
+    return this._get(key);
+  }
+
+  async put(key, record) {
+    this._check(true);
+    this.writes.set(key, cloneRecord(record));
+  }
+
+  async delete(key) {
+    this._check(true);
+    this.writes.set(key, DELETED);
+    this.accessWrites.set(key, DELETED);
+  }
+
+  async clear() {
+    this._check(true);
+    this.cleared = true;
+    this.writes.clear();
+    this.accessCleared = true;
+    this.accessWrites.clear();
+  }
+
+  async keys(range) {
+    this._check(false);
+    return this._keys(range);
+  }
+
+  async getAccess(key) {
+    this._check(false);
+    const access = this._getAccess(key);
+    return access && { ...access };
+  }
+
+  async putAccess(key, access) {
+    this._check(true);
+    this.accessWrites.set(key, { ...access });
+  }
+
+  async getMeta(name) {
+    this._check(false);
+    return this.metaWrites.has(name) ? this.metaWrites.get(name) : this.adapter._readMeta(name);
+  }
+
+  async putMeta(name, value) {
+    this._check(true);
+    this.metaWrites.set(name, value);
+  }
+
+  /**
+   * Total the access statistics, see StorageAdapter
+   * @returns {Promise<{count: number, bytes: number}>} Number of keys with statistics and their sizes
+   */
+  async accessTotals() {
+    this._check(false);
+    let count = this.accessCleared ? 0 : this.adapter.access.size;
+    let bytes = this.accessCleared ? 0 : this.adapter.accessBytes;
+    for (const [key, access] of this.accessWrites) {
+      const committed = this.accessCleared ? undefined : this.adapter.access.get(key);
+      if (committed) {
+        count--;
+        bytes -= committed.size;
+      }
+      if (access !== DELETED) {
+        count++;
+        bytes += access.size;
+      }
+    }
+    return { count, bytes };
+  }
+
+  /**
+   * Visit the access statistics in eviction order, see StorageAdapter
+   * @param {string} policy - 'lru' or 'lfu'
+   * @param {Function} visit - Receives (key, access), returns false to stop
+   * @returns {Promise<void>}
+   */
+  async walkAccess(policy, visit) {
+    this._check(false);
+    const keys = new Set(this.accessCleared ? [] : this.adapter.access.keys());
+    for (const key of this.accessWrites.keys()) {
+      keys.add(key);
+    }
+    const entries = Array.from(keys, key => [key, this._getAccess(key)]).filter(([, access]) => access);
+    const fields = ACCESS_ORDER[policy];
+    entries.sort(([keyA, a], [keyB, b]) =>
+      fields.reduce((order, field) => order || a[field] - b[field], 0) || compareKeys(keyA, keyB));
+
+    for (const [key, access] of entries) {
+      if (visit(key, { ...access }) === false) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Read access statistics as the transaction sees them
+   * @param {string} key - The key
+   * @returns {Object|undefined} The statistics
+   */
+  _getAccess(key) {
+    if (this.accessWrites.has(key)) {
+      const access = this.accessWrites.get(key);
+      return access === DELETED ? undefined : access;
+    }
+    return this.accessCleared ? undefined : this.adapter.access.get(key);
+  }
+
+  async count(range) {
+    this._check(false);
+    return this._keys(range).length;
+  }
+
+  /**
+   * Read the records of a key range in order, see StorageAdapter
+   * @param {Object} [range] - Key range
+   * @param {Object} options - Scan options
+   * @param {boolean} options.reverse - Descending key order
+   * @param {number} options.limit - Maximum number of records
+   * @param {Function} options.filter - Only records for which it returns true
+   * @returns {Promise<Array<Array>>} [key, record] pairs
+   */
+  async scan(range, { reverse = false, limit, filter } = {}) {
+    this._check(false);
+    const keys = this._keys(range);
+    if (reverse) {
+      keys.reverse();
+    }
+
+    const results = [];
+    for (const key of keys) {
+      if (limit !== undefined && results.length >= limit) {
+        break;
+      }
+      const record = this._get(key);
+      if (!filter || filter(record)) {
+        results.push([key, record]);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Read a record as the transaction sees it
+   * @param {string} key - The key
+   * @returns {string|Object|undefined} A copy of the record
+   */
+  _get(key) {
+    if (this.writes.has(key)) {
+      const record = this.writes.get(key);
+      return record === DELETED ? undefined : cloneRecord(record);
+    }
+    return this.cleared ? undefined : cloneRecord(this.adapter._read(key));
+  }
+
+  /**
+   * List the keys visible to the transaction
+   * @param {Object} [range] - Key range
+   * @returns {string[]} The keys in ascending order
+   */
+  _keys(range) {
+    const keys = new Set(this.cleared ? [] : this.adapter._readKeys());
+    for (const [key, record] of this.writes) {
+      if (record === DELETED) {
+        keys.delete(key);
+      } else {
+        keys.add(key);
+      }
+    }
+    return Array.from(keys).filter(key => isInRange(key, range)).sort(compareKeys);
+  }
+}
+
+/**
+ * Adapter persisting records in localStorage or sessionStorage, one item per key holding
+ * { record } as JSON text. Reads go to the storage, so writes of other tabs are seen.
+ */
+class WebStorageAdapter extends MemoryAdapter {
+  /**
+   * @param {string} storageName - 'localStorage' or 'sessionStorage'
+   */
+  constructor(storageName) {
+    super();
+    this.name = storageName;
+    this.textOnly = true;
+    this.storage = null;
+    this.prefix = '';
+    this.metaKey = '';
+  }
+
+  /**
+   * Check that the storage can be written to, then open it like MemoryAdapter
+   * @param {Object} context - Store to open, see StorageAdapter#open()
+   * @returns {Promise<void>}
+   */
+  async open(context) {
+    this.storage = this._getStorage();
+    const dbName = escapeWebStorageName(context.dbName);
+    const storeName = escapeWebStorageName(context.storeName);
+    this.prefix = `${WEB_STORAGE_PREFIX}${dbName}:${storeName}:`;
+    this.metaKey = `${WEB_STORAGE_META_PREFIX}${dbName}:${storeName}`;
+    return super.open(context);
+  }
+
+  /**
+   * Get the storage if it can be written to
+   * @returns {Storage}
+   */
+  _getStorage() {
+    let storage = null;
+    try {
+      storage = typeof window !== 'undefined' ? window[this.name] : null;
+      if (storage) {
+        // Private modes of some browsers expose the storage but reject writes
+        const probeKey = `${WEB_STORAGE_META_PREFIX}probe`;
+        storage.setItem(probeKey, '1');
+        storage.removeItem(probeKey);
+      }
+    } catch {
+      storage = null;
+    }
+
+    if (!storage) {
+      const error = new Error(`${this.name} is not available`);
+      error.code = ERROR_CODES.NOT_SUPPORTED;
+      throw error;
+    }
+    return storage;
+  }
+
+  async _load() {
+    this.schemaVersion = this._readMetaItem().schemaVersion;
+  }
+
+  _readMeta(name) {
+    return this._readMetaItem().meta[name];
+  }
+
+  /**
+   * Read the item holding the schema version and metadata of the store
+   * @returns {{schemaVersion: number, meta: Object}}
+   */
+  _readMetaItem() {
+    let item = null;
+    try {
+      item = JSON.parse(this.storage.getItem(this.metaKey));
+    } catch {
+      // Unreadable items are treated as missing
+    }
+
+    // Earlier versions stored the bare schema version
+    if (typeof item === 'number') {
+      return { schemaVersion: item, meta: {} };
+    }
+    if (typeof item !== 'object' || item === null) {
+      return { schemaVersion: 0, meta: {} };
+    }
+    return {
+      schemaVersion: Number(item.schemaVersion) || 0,
+      meta: typeof item.meta === 'object' && item.meta !== null ? item.meta : {}
+    };
+  }
+
+  /**
+   * Read a record, unreadable items are treated as missing
+   * @param {string} key - The key
+   * @returns {string|Object|undefined} The record
+   */
+  _read(key) {
+    const text = this.storage.getItem(this.prefix + key);
+    if (text === null) {
+      return undefined;
+    }
+
+    try {
+      return JSON.parse(text).record;
+    } catch {
+      return undefined;
+    }
+  }
+
+  _readKeys() {
+    return this._itemKeys().filter(key => this._read(key) !== undefined);
+  }
+
+  /**
+   * List the keys of all items of the store, readable or not
+   * @returns {string[]} The keys
+   */
+  _itemKeys() {
+    const keys = [];
+    for (let index = 0; index < this.storage.length; index++) {
+      const itemKey = this.storage.key(index);
+      if (itemKey !== null && itemKey.startsWith(this.prefix)) {
+        keys.push(itemKey.slice(this.prefix.length));
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Write the journal of a transaction to the storage, restoring the previous items if the
+   * storage rejects a write, e.g. because it is full
+   * @param {MemoryTransaction} tx - The transaction
+   * @returns {Promise<void>}
+   */
+  async _commit(tx) {
+    const removedKeys = tx.cleared ? this._itemKeys().filter(key => !tx.writes.has(key)) : [];
+    const touchedKeys = [...removedKeys, ...tx.writes.keys()];
+    const previous = touchedKeys.map(key => [key, this.storage.getItem(this.prefix + key)]);
+
+    try {
+      for (const key of removedKeys) {
+        this.storage.removeItem(this.prefix + key);
+      }
+      for (const [key, record] of tx.writes) {
+        if (record === DELETED) {
+          this.storage.removeItem(this.prefix + key);
+        } else {
+          this.storage.setItem(this.prefix + key, JSON.stringify({ record }));
+        }
+      }
+      if (tx.schemaVersion !== undefined || tx.metaWrites.size > 0) {
+        const { schemaVersion, meta } = this._readMetaItem();
+        this.storage.setItem(this.metaKey, JSON.stringify({
+          schemaVersion: tx.schemaVersion !== undefined ? tx.schemaVersion : schemaVersion,
+          meta: { ...meta, ...Object.fromEntries(tx.metaWrites) }
+        }));
+        if (tx.schemaVersion !== undefined) {
+          this.schemaVersion = tx.schemaVersion;
+        }
+      }
+    } catch (storageError) {
+      for (const [key, text] of previous) {
+        try {
+          if (text === null) {
+            this.storage.removeItem(this.prefix + key);
+          } else {
+            this.storage.setItem(this.prefix + key, text);
+          }
+        } catch {
+          // Keep restoring the other items
+        }
+      }
+
+      throw storageFailure('Web storage write failed', storageError);
+    }
+  }
+}
+
+/**
+ * Adapter storing records in an IndexedDB object store. Opening creates the store and its expiry
+ * index when missing, moves data left in the legacy layout of the old ES module build when asked
+ * to and runs pending migrations, all inside the versionchange transaction.
+ */
+class IndexedDBAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.name = 'indexeddb';
+    this.db = null;
+    this.context = null;
+  }
+
+  /**
+   * Open the database, see StorageAdapter#open()
+   * @param {Object} context - Store to open
+   * @returns {Promise<void>}
+   */
+  async open(context) {
+    if (typeof window === 'undefined' || !window.indexedDB) {
+      const error = new Error('IndexedDB is not available');
+      error.code = ERROR_CODES.NOT_SUPPORTED;
+      throw error;
+    }
+
+    this.context = context;
+    this.db = await this._openDatabase();
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Run a callback in a transaction on the store. The transaction commits by itself once no
+   * request is pending, so the callback may only await operations of the transaction. It only
+   * spans the stores of access statistics and metadata when they are used, so transactions of
+   * other stores in the database don't wait for it.
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the transaction
+   * @param {Object} [options] - { meta } when the callback reads or writes metadata
+   * @returns {Promise<any>} The callback result, once the transaction committed
+   */
+  transaction(mode, callback, { meta = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const { storeName, accessStatistics } = this.context;
+      const scope = [storeName];
+      if (accessStatistics) {
+        scope.push(ACCESS_STORE);
+      }
+      if (meta) {
+        scope.push(META_STORE);
+      }
+      let transaction;
+      try {
+        if (!this.db) {
+          throw new Error('The connection is closed');
+        }
+        transaction = this.db.transaction(scope, mode);
+      } catch (openError) {
+        // Connections closed without a close event fail here, reconnect on the next call
+        if (openError.name === 'InvalidStateError') {
+          this._lost(this.db, 'lost');
+        }
+        const error = new Error(`Transaction failed: ${openError.message}`);
+        error.code = ERROR_CODES.TRANSACTION_FAILURE;
+        reject(error);
+        return;
+      }
+      const tx = new IndexedDBTransaction(transaction.objectStore(storeName),
+        accessStatistics ? transaction.objectStore(ACCESS_STORE) : null, meta ? transaction.objectStore(META_STORE) : null);
+      let outcome = null;
+
+      Promise.resolve()
+        .then(() => callback(tx))
+        .then((value) => {
+          outcome = { value };
+        }, (error) => {
+          outcome = { error };
+          try {
+            transaction.abort();
+          } catch {
+            // Already committed, reported by oncomplete
+          }
+        });
+
+      transaction.oncomplete = () => {
+        if (outcome && !outcome.error) {
+          resolve(outcome.value);
+          return;
+        }
+        const error = new Error('Transaction committed early: callbacks may only await operations of the transaction');
+        error.code = ERROR_CODES.TRANSACTION_FAILURE;
+        reject(error);
+      };
+
+      transaction.onabort = () => {
+        if (outcome && outcome.error) {
+          reject(outcome.error);
+          return;
+        }
+        // Quota errors usually surface here, when the transaction commits
+        reject(storageFailure('Transaction failed', transaction.error));
+      };
+    });
+  }
+
+  /**
+   * Open IndexedDB database, upgrading it when the configured object store or its indexes are missing,
+   * when migrations are pending or when it holds data to move from the legacy layout of the old ES module build
+   * @param {number} [version] - Version to open with (default: current version)
+   * @returns {Promise<IDBDatabase>}
+   */
+  _openDatabase(version) {
+    return new Promise((resolve, reject) => {
+      const { dbName, storeName } = this.context;
+      const request = version ? indexedDB.open(dbName, version) : indexedDB.open(dbName);
+      let upgradeError = null;
+      let upgradeRunning = false;
+      let upgradeDb = null;
+
+      // Other connections did not close on versionchange, the request waits until they do
+      request.onblocked = () => {
+        this.context.onBlocked();
+      };
+
+      request.onerror = () => {
+        if (upgradeError) {
+          // Release the connection of the aborted upgrade so it cannot block the next one
+          upgradeDb.close();
+          reject(upgradeError);
+          return;
+        }
+        const error = new Error(`Failed to open database: ${request.error?.message || 'Unknown error'}`);
+        error.code = ERROR_CODES.OPEN_FAILURE;
+        reject(error);
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+
+        // The upgrade transaction committed while a migration was awaiting something else
+        if (upgradeRunning) {
+          db.close();
+          const error = new Error('Upgrade failed: migrations may only await operations of their context');
+          error.code = ERROR_CODES.UPGRADE_FAILURE;
+          reject(error);
+          return;
+        }
+
+        this._needsUpgrade(db).then(needsUpgrade => {
+          if (needsUpgrade) {
+            const nextVersion = db.version + 1;
+            db.close();
+            this._openDatabase(nextVersion).then(resolve, reject);
+            return;
+          }
+
+          this._watchConnection(db);
+          resolve(db);
+        }, error => {
+          db.close();
+          reject(error);
+        });
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        upgradeDb = db;
+        const transaction = event.target.transaction;
+        const unindexedStores = this.context.migrateLegacyLayout ? this._unindexedStoreNames(db, null, transaction) : [];
+        const store = db.objectStoreNames.contains(storeName)
+          ? transaction.objectStore(storeName)
+          : db.createObjectStore(storeName);
+        if (!store.indexNames.contains(EXPIRY_INDEX)) {
+          store.createIndex(EXPIRY_INDEX, 'expiresAt');
+        }
+        if (!db.objectStoreNames.contains(ACCESS_STORE)) {
+          const accessStore = db.createObjectStore(ACCESS_STORE);
+          for (const [policy, fields] of Object.entries(ACCESS_ORDER)) {
+            accessStore.createIndex(policy, ['store', ...fields]);
+          }
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE);
+        }
+
+        // Migrations run once the legacy data has been moved, so they see it
+        upgradeRunning = true;
+        Promise.all(unindexedStores.map(name => this._migrateLegacyStore(db, transaction, name)))
+          .then(() => this._upgradeSchema(db, transaction, store))
+          .then(() => {
+            upgradeRunning = false;
+          }, error => {
+            upgradeRunning = false;
+            upgradeError = error.code === ERROR_CODES.UPGRADE_FAILURE ? error : new Error(`Upgrade failed: ${error.message}`);
+            upgradeError.code = ERROR_CODES.UPGRADE_FAILURE;
+            try {
+              transaction.abort();
+            } catch {
+              // Already committed, reported by onsuccess
+            }
+          });
+      };
+    });
+  }
+
+  /**
+   * Check whether an open database has to be upgraded
+   * @param {IDBDatabase} db - The open database
+   * @returns {Promise<boolean>}
+   */
+  async _needsUpgrade(db) {
+    const { storeName } = this.context;
+
+    // Database already exists without our store (e.g. created by another store instance)
+    // or was created by a version of this library without the expiry index, access statistics
+    // or metadata
+    if (!db.objectStoreNames.contains(storeName) || !db.objectStoreNames.contains(ACCESS_STORE) ||
+        !db.objectStoreNames.contains(META_STORE) ||
+        !db.transaction([storeName], 'readonly').objectStore(storeName).indexNames.contains(EXPIRY_INDEX)) {
+      return true;
+    }
+
+    if (await this._readSchemaVersion(db) < this.context.schemaVersion) {
+      return true;
+    }
+
+    if (!this.context.migrateLegacyLayout) {
+      return false;
+    }
+    const unindexedStores = this._unindexedStoreNames(db, storeName);
+    return unindexedStores.length > 0 && (await this._findLegacyStores(db, unindexedStores)).length > 0;
+  }
+
+  /**
+   * Watch for other connections upgrading or deleting the database, and for the browser
+   * closing the connection (e.g. when the database was cleared by the user)
+   * @param {IDBDatabase} db - The open database
+   */
+  _watchConnection(db) {
+    // Let other connections upgrade the database, reconnect lazily on next call
+    db.onversionchange = () => {
+      db.close();
+      this._lost(db, 'versionchange');
+    };
+    db.onclose = () => {
+      this._lost(db, 'lost');
+    };
+  }
+
+  /**
+   * Forget a connection that was closed from outside
+   * @param {IDBDatabase} db - The closed connection
+   * @param {string} reason - 'versionchange' or 'lost'
+   */
+  _lost(db, reason) {
+    if (db && this.db === db) {
+      this.db = null;
+      this.context.onClose(reason);
+    }
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise. Continuations run while the transaction is still active,
+   * as long as nothing else is awaited in between.
+   * @param {IDBRequest} request - The request
+   * @returns {Promise<any>} The request result
+   */
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get the object stores without the expiry index, candidates for the legacy layout
+   * @param {IDBDatabase} db - The database
+   * @param {string|null} excludedName - Store to leave out
+   * @param {IDBTransaction} [transaction] - Upgrade transaction, a readonly one is used otherwise
+   * @returns {string[]} Store names
+   */
+  _unindexedStoreNames(db, excludedName, transaction) {
+    const names = Array.from(db.objectStoreNames)
+      .filter(name => name !== excludedName && name !== META_STORE && name !== ACCESS_STORE);
+    if (names.length === 0) {
+      return [];
+    }
+
+    const source = transaction || db.transaction(names, 'readonly');
+    return names.filter(name => !source.objectStore(name).indexNames.contains(EXPIRY_INDEX));
+  }
+
+  /**
+   * Check whether an object store holds a value in the legacy layout of the old ES module
+   * build: a single { data } record under the key 'value', the store being named after the key
+   * @param {number} count - Number of records in the store
+   * @param {any} record - The record under the key 'value'
+   * @returns {boolean}
+   */
+  _isLegacyRecord(count, record) {
+    return count === 1 && typeof record === 'object' && record !== null && typeof record.data === 'string';
+  }
+
+  /**
+   * Find the object stores holding data in the legacy layout
+   * @param {IDBDatabase} db - The database
+   * @param {string[]} names - Store names to check
+   * @returns {Promise<string[]>} Names of legacy stores
+   */
+  _findLegacyStores(db, names) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(names, 'readonly');
+      const requests = names.map(name => {
+        const store = transaction.objectStore(name);
+        return [name, store.count(), store.get(LEGACY_VALUE_KEY)];
+      });
+
+      transaction.oncomplete = () => {
+        resolve(requests
+          .filter(([, countRequest, valueRequest]) => this._isLegacyRecord(countRequest.result, valueRequest.result))
+          .map(([name]) => name));
+      };
+
+      transaction.onerror = () => {
+        const error = new Error(`Failed to inspect database: ${transaction.error?.message || 'Unknown error'}`);
+        error.code = ERROR_CODES.OPEN_FAILURE;
+        reject(error);
+      };
+    });
+  }
+
+  /**
+   * Move a value stored in the legacy layout into the configured store during an upgrade.
+   * The legacy record holds the same JSON text as a plain record. Keys already present in
+   * the configured store win. Stores without a legacy record are left untouched, even empty ones.
+   * @param {IDBDatabase} db - The database
+   * @param {IDBTransaction} transaction - The upgrade transaction
+   * @param {string} name - Name of the store, which is the key of its value
+   * @returns {Promise<void>}
+   */
+  async _migrateLegacyStore(db, transaction, name) {
+    const { storeName } = this.context;
+    const legacyStore = transaction.objectStore(name);
+    const [count, record] = await Promise.all([
+      this._request(legacyStore.count()),
+      this._request(legacyStore.get(LEGACY_VALUE_KEY))
+    ]);
+    if (!this._isLegacyRecord(count, record)) {
+      return;
+    }
+
+    const store = transaction.objectStore(storeName);
+    // A key named like the configured store was stored in it
+    if (name === storeName) {
+      store.delete(LEGACY_VALUE_KEY);
+      store.put(record.data, name);
+      return;
+    }
+
+    if (await this._request(store.getKey(name)) === undefined) {
+      store.put(record.data, name);
+    }
+    db.deleteObjectStore(name);
+  }
+
+  /**
+   * Read the schema version of the configured store
+   * @param {IDBDatabase} db - The open database
+   * @returns {Promise<number>} The schema version, 0 if no migration ran yet
+   */
+  _readSchemaVersion(db) {
+    if (!db.objectStoreNames.contains(META_STORE)) {
+      return Promise.resolve(0);
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([META_STORE], 'readonly');
+      const request = transaction.objectStore(META_STORE).get(this.context.storeName);
+
+      transaction.oncomplete = () => {
+        resolve(request.result || 0);
+      };
+
+      transaction.onerror = () => {
+        const error = new Error(`Failed to read schema version: ${transaction.error?.message || 'Unknown error'}`);
+        error.code = ERROR_CODES.OPEN_FAILURE;
+        reject(error);
+      };
+    });
+  }
+
+  /**
+   * Run pending migrations inside the upgrade transaction and record the new schema version
+   * @param {IDBDatabase} db - The database
+   * @param {IDBTransaction} transaction - The upgrade transaction
+   * @param {IDBObjectStore} store - The configured store
+   * @returns {Promise<void>}
+   */
+  async _upgradeSchema(db, transaction, store) {
+    const { storeName, schemaVersion, upgrade } = this.context;
+    if (schemaVersion === 0) {
+      return;
+    }
+
+    const metaStore = transaction.objectStore(META_STORE);
+    const currentVersion = (await this._request(metaStore.get(storeName))) || 0;
+    const version = await upgrade(new IndexedDBTransaction(store, transaction.objectStore(ACCESS_STORE), metaStore), currentVersion);
+
+    if (version > currentVersion) {
+      metaStore.put(version, storeName);
+    }
+  }
+}
+
+/**
+ * Transaction of an IndexedDBAdapter, wrapping requests on its object store in promises
+ */
+class IndexedDBTransaction {
+  /**
+   * @param {IDBObjectStore} store - The object store, within a transaction
+   * @param {IDBObjectStore|null} accessStore - The store of access statistics, within the same transaction,
+   *   null when the store keeps none
+   * @param {IDBObjectStore|null} metaStore - The store of schema versions and metadata, within the same
+   *   transaction, null when the transaction doesn't use them
+   */
+  constructor(store, accessStore, metaStore) {
+    this.store = store;
+    this.accessStore = accessStore;
+    this.metaStore = metaStore;
+    this.totals = null;
+    // Last pending update of the access statistics, per key
+    this.accessUpdates = new Map();
+  }
+
+  /**
+   * Issue a request, surfacing its failure as TRANSACTION_FAILURE or QUOTA_EXCEEDED
+   * @param {string} operation - Name of the operation, used in error messages
+   * @param {Function} createRequest - Returns the IDBRequest
+   * @returns {Promise<any>} The request result
+   */
+  _request(operation, createRequest) {
+    return new Promise((resolve, reject) => {
+      const fail = (cause) => {
+        reject(storageFailure(`${operation} request failed`, cause));
+      };
+
+      let request;
+      try {
+        request = createRequest();
+      } catch (requestError) {
+        fail(requestError);
+        return;
+      }
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => fail(request.error);
+    });
+  }
+
+  get(key) {
+    return this._request('Get', () => this.store.get(key));
+  }
+
+  async put(key, record) {
+    await this._request('Put', () => this.store.put(record, key));
+  }
+
+  async delete(key) {
+    await Promise.all([
+      this._request('Delete', () => this.store.delete(key)),
+      this.accessStore && this._forgetAccess(key)
+    ]);
+  }
+
+  async clear() {
+    const { name } = this.store;
+    if (!this.accessStore) {
+      await this._request('Clear', () => this.store.clear());
+      return;
+    }
+    // Totals are stored under [name], which sorts before the keys of the store's statistics
+    this.totals = Promise.resolve({ count: 0, bytes: 0 });
+    await Promise.all([
+      this._request('Clear', () => this.store.clear()),
+      this._request('Clear', () => this.accessStore.delete(IDBKeyRange.bound([name], [name, []])))
+    ]);
+  }
+
+  keys(range) {
+    return this._request('Keys', () => this.store.getAllKeys(toKeyRange(range)));
+  }
+
+  count(range) {
+    return this._request('Count', () => this.store.count(toKeyRange(range)));
+  }
+
+  /**
+   * Read the records of a key range with a cursor, which stops once limit records passed the filter
+   * @param {Object} [range] - Key range
+   * @param {Object} options - Scan options, see MemoryTransaction#scan()
+   * @returns {Promise<Array<Array>>} [key, record] pairs
+   */
+  scan(range, { reverse = false, limit, filter } = {}) {
+    return new Promise((resolve, reject) => {
+      const fail = (cause) => {
+        reject(storageFailure('Scan request failed', cause));
+      };
+
+      let request;
+      try {
+        request = this.store.openCursor(toKeyRange(range), reverse ? 'prev' : 'next');
+      } catch (requestError) {
+        fail(requestError);
+        return;
+      }
+
+      const results = [];
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(results);
+          return;
+        }
+
+        if (!filter || filter(cursor.value)) {
+          results.push([cursor.key, cursor.value]);
+        }
+        if (limit !== undefined && results.length >= limit) {
+          resolve(results);
+          return;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => fail(request.error);
+    });
+  }
+
+  /**
+   * Find expired records through the expiry index
+   * @param {number} now - Current timestamp in milliseconds
+   * @returns {Promise<string[]>} The expired keys
+   */
+  expiredKeys(now) {
+    return this._request('Keys', () => this.store.index(EXPIRY_INDEX).getAllKeys(IDBKeyRange.upperBound(now)));
+  }
+
+  async getAccess(key) {
+    const stored = await this._request('Get', () => this.accessStore.get([this.store.name, key]));
+    return stored && { accessedAt: stored.accessedAt, hits: stored.hits, size: stored.size };
+  }
+
+  putAccess(key, { accessedAt, hits, size }) {
+    return this._updateAccess(key, async () => {
+      const { name } = this.store;
+      const [previous, totals] = await Promise.all([
+        this._request('Get', () => this.accessStore.get([name, key])),
+        this._loadTotals()
+      ]);
+      totals.count += previous ? 0 : 1;
+      totals.bytes += size - (previous ? previous.size : 0);
+      await Promise.all([
+        this._request('Put', () => this.accessStore.put({ store: name, accessedAt, hits, size }, [name, key])),
+        this._request('Put', () => this.accessStore.put({ ...totals }, [name]))
+      ]);
+    });
+  }
+
+  /**
+   * Get the totals of the store's access statistics, see StorageAdapter
+   * @param {Object} [options] - { recount } to recompute and store them from the statistics
+   * @returns {Promise<{count: number, bytes: number}>} Number of keys with statistics and their sizes
+   */
+  async accessTotals({ recount = false } = {}) {
+    if (recount) {
+      const totals = { count: 0, bytes: 0 };
+      await this.walkAccess('lru', (key, access) => {
+        totals.count++;
+        totals.bytes += access.size;
+      });
+      this.totals = Promise.resolve(totals);
+      await this._request('Put', () => this.accessStore.put({ ...totals }, [this.store.name]));
+    }
+
+    const { count, bytes } = await this._loadTotals();
+    return { count, bytes };
+  }
+
+  // Metadata is stored under [name of the store, name], the schema version under the store's name
+  getMeta(name) {
+    return this._request('Get', () => this.metaStore.get([this.store.name, name]));
+  }
+
+  async putMeta(name, value) {
+    await this._request('Put', () => this.metaStore.put(value, [this.store.name, name]));
+  }
+
+  /**
+   * Visit the access statistics in eviction order with a cursor over the policy's index
+   * @param {string} policy - 'lru' or 'lfu'
+   * @param {Function} visit - Receives (key, access), returns false to stop
+   * @returns {Promise<void>}
+   */
+  walkAccess(policy, visit) {
+    return new Promise((resolve, reject) => {
+      const fail = (cause) => {
+        reject(storageFailure('Scan request failed', cause));
+      };
+
+      const { name } = this.store;
+      let request;
+      try {
+        request = this.accessStore.index(policy).openCursor(IDBKeyRange.bound([name], [name, []]));
+      } catch (requestError) {
+        fail(requestError);
+        return;
+      }
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+
+        const { accessedAt, hits, size } = cursor.value;
+        if (visit(cursor.primaryKey[1], { accessedAt, hits, size }) === false) {
+          resolve();
+          return;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => fail(request.error);
+    });
+  }
+
+  /**
+   * Load the totals of the store's access statistics once per transaction. Updates change the
+   * loaded object before writing it, so concurrent requests of the transaction don't lose any.
+   * @returns {Promise<{count: number, bytes: number}>} The totals
+   */
+  _loadTotals() {
+    if (!this.totals) {
+      this.totals = this._request('Get', () => this.accessStore.get([this.store.name]))
+        .then(totals => totals || { count: 0, bytes: 0 });
+    }
+    return this.totals;
+  }
+
+  /**
+   * Drop the access statistics of a key, if any
+   * @param {string} key - The key
+   * @returns {Promise<void>}
+   */
+  _forgetAccess(key) {
+    return this._updateAccess(key, async () => {
+      const { name } = this.store;
+      const [previous, totals] = await Promise.all([
+        this._request('Get', () => this.accessStore.get([name, key])),
+        this._loadTotals()
+      ]);
+      if (!previous) {
+        return;
+      }
+      totals.count--;
+      totals.bytes -= previous.size;
+      await Promise.all([
+        this._request('Delete', () => this.accessStore.delete([name, key])),
+        this._request('Put', () => this.accessStore.put({ ...totals }, [name]))
+      ]);
+    });
+  }
+
+  /**
+   * Run an update of a key's access statistics once the previous one finished, so updates of
+   * the same key in one transaction each see the statistics the other left, and count them once
+   * @param {string} key - The key
+   * @param {Function} update - Returns a promise
+   * @returns {Promise<void>}
+   */
+  _updateAccess(key, update) {
+    const previous = this.accessUpdates.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(update);
+    this.accessUpdates.set(key, next);
+    return next;
+  }
+}
+
+/**
+ * Transaction of TinyIDBHelper#_readWrite() in encrypted and compressed stores. Reads go to the adapter in
+ * transactions of their own and are remembered, writes are collected. commit() applies the
+ * writes in one adapter transaction if nothing that was read has changed since.
+ */
+class OptimisticTransaction {
+  /**
+   * @param {StorageAdapter} adapter - The adapter
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.reads = new Map();
+    this.readKeys = null;
+    this.writes = new Map();
+    this.commitSteps = [];
+  }
+
+  /**
+   * Run a step in the transaction applying the writes, after them
+   * @param {Function} step - Receives the adapter transaction, may only await its operations
+   */
+  onCommit(step) {
+    this.commitSteps.push(step);
+  }
+
+  async get(key) {
+    if (this.writes.has(key)) {
+      const record = this.writes.get(key);
+      return record === DELETED ? undefined : record;
+    }
+    if (!this.reads.has(key)) {
+      this.reads.set(key, await this.adapter.get(key));
+    }
+    return this.reads.get(key);
+  }
+
+  async put(key, record) {
+    this.writes.set(key, record);
+  }
+
+  async delete(key) {
+    this.writes.set(key, DELETED);
+  }
+
+  /**
+   * Get all keys, including the pending writes
+   * @returns {Promise<string[]>} The keys in ascending order
+   */
+  async keys() {
+    if (!this.readKeys) {
+      this.readKeys = await this.adapter.keys();
+    }
+
+    const keys = new Set(this.readKeys);
+    for (const [key, record] of this.writes) {
+      if (record === DELETED) {
+        keys.delete(key);
+      } else {
+        keys.add(key);
+      }
+    }
+    return Array.from(keys).sort(compareKeys);
+  }
+
+  /**
+   * Apply the writes if the records and keys read are still current
+   * @returns {Promise<boolean>} False if they changed and nothing was written
+   */
+  async commit() {
+    return this.adapter.transaction('readwrite', async (tx) => {
+      const keys = Array.from(this.reads.keys());
+      const [records, currentKeys] = await Promise.all([
+        Promise.all(keys.map(key => tx.get(key))),
+        this.readKeys ? tx.keys() : null
+      ]);
+
+      const changed = keys.some((key, index) => !sameRecord(records[index], this.reads.get(key))) ||
+        (this.readKeys !== null && !sameRecord(currentKeys, this.readKeys));
+      if (changed) {
+        return false;
+      }
+
+      await Promise.all(Array.from(this.writes, ([key, record]) =>
+        record === DELETED ? tx.delete(key) : tx.put(key, record)));
+      for (const step of this.commitSteps) {
+        await step(tx);
+      }
+      return true;
+    });
+  }
+}
+
+/**
+ * Copy a record, so stored records cannot be changed through a reference
+ * @param {string|Object|undefined} record - The record
+ * @returns {string|Object|undefined} The copy
+ */
+function cloneRecord(record) {
+  if (typeof record !== 'object' || record === null || typeof structuredClone !== 'function') {
+    return record;
+  }
+
+  return structuredClone(record);
+}
+
+/**
+ * Check whether an error reports that the storage quota is exhausted
+ * @param {any} error - The error, usually a DOMException
+ * @returns {boolean}
+ */
+function isQuotaError(error) {
+  // Older Firefox reports web storage quota errors as NS_ERROR_DOM_QUOTA_REACHED (code 1014)
+  return typeof error === 'object' && error !== null &&
+    (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      error.code === 22 || error.code === 1014);
+}
+
+/**
+ * Build the error of stored data that cannot be decoded, which onCorrupt and verify() handle
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - What failed
+ * @returns {Error}
+ */
+function corruptionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.corrupt = true;
+  return error;
+}
+
+/**
+ * Build the error of a failed storage write, QUOTA_EXCEEDED for quota errors, TRANSACTION_FAILURE otherwise
+ * @param {string} message - What failed
+ * @param {any} [cause] - The underlying error
+ * @returns {Error}
+ */
+function storageFailure(message, cause) {
+  const error = new Error(`${message}: ${cause?.message || 'Unknown error'}`);
+  error.code = isQuotaError(cause) ? ERROR_CODES.QUOTA_EXCEEDED : ERROR_CODES.TRANSACTION_FAILURE;
+  return error;
+}
+
+/**
+ * Escape a database or store name for the item names of web storage, where ':' separates them.
+ * Names without ':' or '%' are kept as they are, so items written before stay found.
+ * @param {string} name - The name
+ * @returns {string} The escaped name
+ */
+function escapeWebStorageName(name) {
+  return name.replace(/%/g, '%25').replace(/:/g, '%3A');
+}
+
+/**
+ * Approximate the bytes a value takes in storage: UTF-8 length of strings, length of binary
+ * data, 8 bytes per number and date, and the contents of objects, arrays, maps and sets
+ * @param {any} value - The value
+ * @param {Set} [seen] - Objects already counted, structured values may be cyclic
+ * @returns {number}
+ */
+function approximateSize(value, seen = new Set()) {
+  if (typeof value === 'string') {
+    return new TextEncoder().encode(value).byteLength;
+  }
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    return 8;
+  }
+  if (typeof value === 'boolean') {
+    return 4;
+  }
+  if (typeof value !== 'object' || value === null) {
+    return 0;
+  }
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    return value.byteLength;
+  }
+  if (typeof Blob === 'function' && value instanceof Blob) {
+    return value.size;
+  }
+  if (value instanceof Date) {
+    return 8;
+  }
+  if (seen.has(value)) {
+    return 0;
+  }
+  seen.add(value);
+
+  let size = 0;
+  if (value instanceof Map) {
+    for (const [key, item] of value) {
+      size += approximateSize(key, seen) + approximateSize(item, seen);
+    }
+  } else if (value instanceof Set || Array.isArray(value)) {
+    for (const item of value) {
+      size += approximateSize(item, seen);
+    }
+  } else {
+    for (const key of Object.keys(value)) {
+      size += approximateSize(key, seen) + approximateSize(value[key], seen);
+    }
+  }
+  return size;
+}
+
+/**
+ * Encode stored data for a snapshot, so it survives JSON.stringify(). Values JSON cannot
+ * represent become { $type, value } objects, and so do plain objects with a $type property.
+ * Objects met again, as in cycles, become references to the position they were first met at.
+ * @param {any} value - Structured value or custom codec output
+ * @param {Map} [seen] - Objects encoded so far, by position
+ * @returns {Promise<any>} The JSON-safe value
+ */
+async function toSnapshotValue(value, seen = new Map()) {
+  if (value === undefined) {
+    return { [SNAPSHOT_TYPE]: 'undefined' };
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && !Object.is(value, -0)
+      ? value
+      : { [SNAPSHOT_TYPE]: 'Number', value: Object.is(value, -0) ? '-0' : String(value) };
+  }
+  if (typeof value === 'bigint') {
+    return { [SNAPSHOT_TYPE]: 'BigInt', value: String(value) };
+  }
+  if (typeof value !== 'object' || value === null) {
+    return value;
+  }
+  if (seen.has(value)) {
+    return { [SNAPSHOT_TYPE]: 'Ref', value: seen.get(value) };
+  }
+  seen.set(value, seen.size);
+
+  if (value instanceof Date) {
+    return { [SNAPSHOT_TYPE]: 'Date', value: await toSnapshotValue(value.getTime(), seen) };
+  }
+  if (value instanceof RegExp) {
+    return { [SNAPSHOT_TYPE]: 'RegExp', value: value.source, flags: value.flags };
+  }
+  if (value instanceof ArrayBuffer) {
+    return { [SNAPSHOT_TYPE]: 'ArrayBuffer', value: toBase64(value) };
+  }
+  if (ArrayBuffer.isView(value)) {
+    const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    return { [SNAPSHOT_TYPE]: value.constructor.name, value: toBase64(bytes) };
+  }
+  if (typeof File === 'function' && value instanceof File) {
+    return { [SNAPSHOT_TYPE]: 'File', value: toBase64(await value.arrayBuffer()), type: value.type,
+      name: value.name, lastModified: value.lastModified };
+  }
+  if (typeof Blob === 'function' && value instanceof Blob) {
+    return { [SNAPSHOT_TYPE]: 'Blob', value: toBase64(await value.arrayBuffer()), type: value.type };
+  }
+  if (value instanceof Error) {
+    return { [SNAPSHOT_TYPE]: 'Error', value: value.message, name: value.name };
+  }
+
+  // Items are encoded one after another, so positions follow the order they are met in
+  if (value instanceof Map) {
+    const pairs = [];
+    for (const [key, item] of value) {
+      pairs.push([await toSnapshotValue(key, seen), await toSnapshotValue(item, seen)]);
+    }
+    return { [SNAPSHOT_TYPE]: 'Map', value: pairs };
+  }
+  if (value instanceof Set || Array.isArray(value)) {
+    const items = [];
+    for (const item of value) {
+      items.push(await toSnapshotValue(item, seen));
+    }
+    return Array.isArray(value) ? items : { [SNAPSHOT_TYPE]: 'Set', value: items };
+  }
+
+  const object = {};
+  for (const key of Object.keys(value)) {
+    object[key] = await toSnapshotValue(value[key], seen);
+  }
+  return Object.prototype.hasOwnProperty.call(value, SNAPSHOT_TYPE) ? { [SNAPSHOT_TYPE]: 'Object', value: object } : object;
+}
+
+/**
+ * Decode a value encoded by toSnapshotValue(). Objects are registered before their contents,
+ * in the order toSnapshotValue() met them, so references resolve to the same positions.
+ * @param {any} value - The JSON-safe value
+ * @param {Array} [seen] - Objects decoded so far, by position
+ * @returns {any} The stored data
+ * @throws {Error} When the value was not produced by toSnapshotValue()
+ */
+function fromSnapshotValue(value, seen = []) {
+  if (typeof value !== 'object' || value === null) {
+    return value;
+  }
+
+  const register = (object) => {
+    seen.push(object);
+    return object;
+  };
+  if (Array.isArray(value)) {
+    const array = register([]);
+    for (const item of value) {
+      array.push(fromSnapshotValue(item, seen));
+    }
+    return array;
+  }
+
+  // Plain objects are only tagged when they have a $type property of their own
+  const tagged = Object.prototype.hasOwnProperty.call(value, SNAPSHOT_TYPE);
+  const type = tagged ? value[SNAPSHOT_TYPE] : 'Object';
+  switch (type) {
+    case 'undefined':
+      return undefined;
+    case 'Number':
+      return Number(value.value);
+    case 'BigInt':
+      return BigInt(value.value);
+    case 'Ref':
+      if (!Number.isInteger(value.value) || value.value < 0 || value.value >= seen.length) {
+        throw new Error(`reference to unknown object ${value.value}`);
+      }
+      return seen[value.value];
+    case 'Date':
+      return register(new Date(fromSnapshotValue(value.value, seen)));
+    case 'RegExp':
+      return register(new RegExp(value.value, value.flags));
+    case 'ArrayBuffer':
+      return register(fromBase64(value.value).buffer);
+    case 'File':
+      return register(new File([fromBase64(value.value)], value.name, { type: value.type, lastModified: value.lastModified }));
+    case 'Blob':
+      return register(new Blob([fromBase64(value.value)], { type: value.type }));
+    case 'Error':
+      // Like structured clone, errors of other types come back as Error
+      return register(new (SNAPSHOT_ERRORS.includes(value.name) ? globalThis[value.name] : Error)(value.value));
+    case 'Map': {
+      const map = register(new Map());
+      for (const [key, item] of value.value) {
+        map.set(fromSnapshotValue(key, seen), fromSnapshotValue(item, seen));
+      }
+      return map;
+    }
+    case 'Set': {
+      const set = register(new Set());
+      for (const item of value.value) {
+        set.add(fromSnapshotValue(item, seen));
+      }
+      return set;
+    }
+    case 'Object': {
+      const fields = tagged ? value.value : value;
+      const object = register({});
+      for (const key of Object.keys(fields)) {
+        object[key] = fromSnapshotValue(fields[key], seen);
+      }
+      return object;
+    }
+    default:
+      if (SNAPSHOT_VIEWS.includes(type) && typeof globalThis[type] === 'function') {
+        return register(new globalThis[type](fromBase64(value.value).buffer));
+      }
+      throw new Error(`unknown type ${type}`);
+  }
+}
+
+/**
+ * Check whether two stored records are the same, encrypted records differ on every write.
+ * Compares structure and binary data, as structured clone keeps them. Must not await, it runs
+ * inside adapter transactions: blobs are compared by size and type, their bytes can't be read
+ * synchronously.
+ * @param {any} a - A record
+ * @param {any} b - Another record
+ * @param {Map} [seen] - Objects of a already compared, with their counterpart in b
+ * @returns {boolean}
+ */
+function sameRecord(a, b, seen = new Map()) {
+  if (Object.is(a, b)) {
+    return true;
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null ||
+      Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+    return false;
+  }
+  // Structured records may be cyclic
+  if (seen.has(a)) {
+    return seen.get(a) === b;
+  }
+  seen.set(a, b);
+
+  if (a instanceof ArrayBuffer || ArrayBuffer.isView(a)) {
+    const bytesA = a instanceof ArrayBuffer ? new Uint8Array(a) : new Uint8Array(a.buffer, a.byteOffset, a.byteLength);
+    const bytesB = b instanceof ArrayBuffer ? new Uint8Array(b) : new Uint8Array(b.buffer, b.byteOffset, b.byteLength);
+    return bytesA.length === bytesB.length && bytesA.every((byte, index) => byte === bytesB[index]);
+  }
+  if (a instanceof Date) {
+    return Object.is(a.getTime(), b.getTime());
+  }
+  if (a instanceof RegExp) {
+    return a.source === b.source && a.flags === b.flags;
+  }
+  if (typeof Blob === 'function' && a instanceof Blob) {
+    return a.size === b.size && a.type === b.type &&
+      (typeof File !== 'function' || !(a instanceof File) || (a.name === b.name && a.lastModified === b.lastModified));
+  }
+  if (a instanceof Error) {
+    return a.name === b.name && a.message === b.message;
+  }
+  if (a instanceof Map || a instanceof Set) {
+    if (a.size !== b.size) {
+      return false;
+    }
+    // Structured clone keeps the insertion order
+    const itemsB = Array.from(b);
+    return Array.from(a).every((item, index) => sameRecord(item, itemsB[index], seen));
+  }
+
+  if (Array.isArray(a) && a.length !== b.length) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && sameRecord(a[key], b[key], seen));
+}
+
+/**
+ * Run bytes through a CompressionStream or DecompressionStream
+ * @param {Uint8Array|ArrayBuffer} bytes - The input
+ * @param {TransformStream} stream - The transform
+ * @returns {Promise<Uint8Array>} The output
+ */
+async function transformBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} bytes - The bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  const view = new Uint8Array(bytes);
+  let binary = '';
+  // Chunked, spreading large arrays into arguments overflows the stack
+  for (let index = 0; index < view.length; index += 0x8000) {
+    binary += String.fromCharCode.apply(null, view.subarray(index, index + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} text - The base64 text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index++) {
+    bytes[index] = binary.charCodeAt(index);
+  }
+  return bytes;
+}
+
+/**
+ * Compare keys by plain string comparison, which matches the IndexedDB key order
+ * @param {string} a - A key
+ * @param {string} b - Another key
+ * @returns {number}
+ */
+function compareKeys(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Check whether a key lies within a key range
+ * @param {string} key - The key to check
+ * @param {Object} [range] - { lower, upper, lowerOpen, upperOpen }, undefined for all keys
+ * @returns {boolean}
+ */
+function isInRange(key, { lower, lowerOpen, upper, upperOpen } = {}) {
+  if (lower !== undefined && (lowerOpen ? key <= lower : key < lower)) {
+    return false;
+  }
+
+  if (upper !== undefined && (upperOpen ? key >= upper : key > upper)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Convert a key range to an IDBKeyRange
+ * @param {Object} [range] - { lower, upper, lowerOpen, upperOpen }, undefined for all keys
+ * @returns {IDBKeyRange|null} The key range, null for all keys
+ */
+function toKeyRange({ lower, lowerOpen = false, upper, upperOpen = false } = {}) {
+  if (lower !== undefined && upper !== undefined) {
+    return IDBKeyRange.bound(lower, upper, lowerOpen, upperOpen);
+  }
+
+  if (lower !== undefined) {
+    return IDBKeyRange.lowerBound(lower, lowerOpen);
+  }
+
+  if (upper !== undefined) {
+    return IDBKeyRange.upperBound(upper, upperOpen);
+  }
+
+  return null;
+}
+
+/**
+ * Create an independent store with its own connection and fallback state
+ * @param {Object} options - Configuration options, see configure()
+ * @returns {TinyIDBHelper}
+ */
+function createStore(options = {}) {
+  return new TinyIDBHelper(options);
 }
 
 // Create singleton instance
@@ -516,6 +4894,11 @@ if (typeof module !== 'undefined' && module.exports) {
   // CommonJS
   module.exports = IDBH;
   module.exports.ERROR_CODES = ERROR_CODES;
+  module.exports.createStore = createStore;
+  module.exports.StorageAdapter = StorageAdapter;
+  module.exports.MemoryAdapter = MemoryAdapter;
+  module.exports.WebStorageAdapter = WebStorageAdapter;
+  module.exports.IndexedDBAdapter = IndexedDBAdapter;
 } else if (typeof define === 'function' && define.amd) {
   // AMD
   define(() => IDBH);
@@ -523,4 +4906,9 @@ if (typeof module !== 'undefined' && module.exports) {
   // Browser global
   window.IDBH = IDBH;
   window.IDBH.ERROR_CODES = ERROR_CODES;
+  window.IDBH.createStore = createStore;
+  window.IDBH.StorageAdapter = StorageAdapter;
+  window.IDBH.MemoryAdapter = MemoryAdapter;
+  window.IDBH.WebStorageAdapter = WebStorageAdapter;
+  window.IDBH.IndexedDBAdapter = IndexedDBAdapter;
 } 
\ No newline at end of file
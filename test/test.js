@@ -72,13 +72,28 @@ async function assertRejects(promise, message = 'Promise should have rejected')
 
 // Import the library
 const IDBH = require('../src/tiny-idb-helper.js');
-const { ERROR_CODES } = require('../src/tiny-idb-helper.js');
+const { ERROR_CODES, createStore, StorageAdapter, MemoryAdapter, IndexedDBAdapter } = require('../src/tiny-idb-helper.js');
 
 // Mock IndexedDB for Node.js testing
 global.window = {
   indexedDB: null // This will force fallback mode
 };
 
+// Run a test against a fresh fake-indexeddb instead of the memory fallback
+async function withIndexedDB(fn) {
+  const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+  const factory = new IDBFactory();
+  const previous = [window.indexedDB, global.indexedDB, global.IDBKeyRange];
+  window.indexedDB = factory;
+  global.indexedDB = factory;
+  global.IDBKeyRange = IDBKeyRange;
+  try {
+    return await fn(factory);
+  } finally {
+    [window.indexedDB, global.indexedDB, global.IDBKeyRange] = previous;
+  }
+}
+
 const runner = new TestRunner();
 
 // Test configuration
@@ -226,6 +241,370 @@ runner.test('toggle() should work with non-existent keys', async () => {
   await IDBH.clear();
 });
 
+runner.test('increment() should not lose concurrent updates', async () => {
+  await Promise.all(Array.from({ length: 20 }, () => IDBH.increment('hits')));
+  assertEqual(await IDBH.getItem('hits'), 20);
+  
+  await IDBH.clear();
+});
+
+// Test update
+runner.test('update() should apply updater to the current value', async () => {
+  await IDBH.setItem('user', { name: 'John', visits: 1 });
+  
+  const result = await IDBH.update('user', (user) => ({ ...user, visits: user.visits + 1 }));
+  assertDeepEqual(result, { name: 'John', visits: 2 });
+  assertDeepEqual(await IDBH.getItem('user'), { name: 'John', visits: 2 });
+  
+  const created = await IDBH.update('missing', (value) => (value === null ? 'created' : value));
+  assertEqual(created, 'created');
+  
+  await IDBH.clear();
+});
+
+runner.test('update() should leave value unchanged when updater fails', async () => {
+  await IDBH.setItem('value', 1);
+  
+  const error = await assertRejects(
+    IDBH.update('value', () => { throw new Error('boom'); }),
+    'Should reject when updater throws'
+  );
+  assertEqual(error.message, 'boom');
+  
+  const asyncError = await assertRejects(
+    IDBH.update('value', async () => 2),
+    'Should reject async updaters'
+  );
+  assert(asyncError.message.includes('synchronous'));
+  assertEqual(await IDBH.getItem('value'), 1);
+
+  await IDBH.clear();
+});
+
+// Test transactions
+runner.test('usage() should estimate sizes per key and in total', async () => {
+  await IDBH.setItem('a', 'hello');
+  await IDBH.setItem('drafts:b', [1, 2]);
+
+  const usage = await IDBH.usage();
+  assertEqual(usage.keys.a, 8, 'Key and stored JSON text should be counted in UTF-8 bytes');
+  assertEqual(usage.keys['drafts:b'], 13);
+  assertEqual(usage.total, 21);
+  assertEqual(usage.estimate, null, 'Without navigator.storage there is no estimate');
+  assertDeepEqual(await IDBH.namespace('drafts').usage(), { keys: { b: 13 }, total: 13, estimate: null });
+
+  const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+  let persistRequests = 0;
+  Object.defineProperty(globalThis, 'navigator', {
+    configurable: true,
+    value: {
+      storage: {
+        estimate: async () => ({ usage: 1024, quota: 4096, usageDetails: {} }),
+        persisted: async () => false,
+        persist: async () => {
+          persistRequests++;
+          return true;
+        }
+      }
+    }
+  });
+  try {
+    assertDeepEqual((await IDBH.usage()).estimate, { usage: 1024, quota: 4096 });
+    assertEqual(await IDBH.requestPersistence(), true);
+    assertEqual(persistRequests, 1);
+  } finally {
+    if (descriptor) {
+      Object.defineProperty(globalThis, 'navigator', descriptor);
+    } else {
+      delete globalThis.navigator;
+    }
+  }
+  assertEqual(await IDBH.requestPersistence(), false, 'Unsupported environments should report false');
+
+  await IDBH.clear();
+});
+
+runner.test('maxEntries should evict the least recently used entries', async () => {
+  const evicted = [];
+  const store = createStore({ maxEntries: 3, onEvict: entry => evicted.push(entry) });
+  const events = [];
+  store.subscribeAll(event => events.push(event));
+
+  await store.setItem('a', 1);
+  await sleep(2);
+  await store.setItem('b', 2);
+  await sleep(2);
+  await store.setItem('c', 3);
+  await sleep(2);
+  await store.getItem('a');
+  await sleep(2);
+  await store.setItem('d', 4);
+
+  assertDeepEqual(await store.keys(), ['a', 'c', 'd'], 'Reads should count as use');
+  assertDeepEqual(evicted, [{ key: 'b', value: 2 }]);
+  assertDeepEqual(events.slice(-2).map(({ key, type }) => `${type}:${key}`), ['set:d', 'evict:b']);
+
+  await store.setMany({ e: 5, f: 6 });
+  assertDeepEqual(await store.keys(), ['d', 'e', 'f'], 'Batches should evict as many entries as needed');
+  assertEqual(await store.increment('g'), 1);
+  assertEqual(await store.length(), 3);
+
+  const error = await assertRejects(store.setMany({ w: 1, x: 2, y: 3, z: 4 }), 'Batches over the limit should reject');
+  assertEqual(error.code, ERROR_CODES.QUOTA_EXCEEDED);
+  assertEqual(await store.length(), 3, 'Rejected batches should evict nothing');
+});
+
+runner.test('bounded stores should keep access statistics apart from the records', async () => {
+  let commits = 0;
+  class CountingAdapter extends MemoryAdapter {
+    async _commit(tx) {
+      commits++;
+      return super._commit(tx);
+    }
+  }
+  const adapter = new CountingAdapter();
+
+  // Entries written before the store was bounded get statistics on the first bounded write
+  await createStore({ fallbacks: [adapter] }).setMany({ a: 1, b: 2, c: 3 });
+  const store = createStore({ fallbacks: [adapter], maxEntries: 3 });
+  await store.getItem('a');
+  await store.setItem('d', 4);
+  assertDeepEqual(await store.keys(), ['a', 'c', 'd'], 'Unused entries should go first');
+
+  commits = 0;
+  await store.getMany(['a', 'c', 'd']);
+  await store.getItem('a');
+  await sleep(2);
+  assertEqual(commits, 0, 'Reads should not rewrite records');
+
+  // Optimistic updates count and evict once they commit
+  const compressed = createStore({ dbName: 'compressed-cache-db', compression: { threshold: 0 }, maxEntries: 2 });
+  await compressed.setMany({ a: 'x', b: 'y' });
+  await sleep(2);
+  await compressed.getItem('a');
+  assertEqual(await compressed.update('c', () => 'z'), 'z');
+  assertDeepEqual(await compressed.keys(), ['a', 'c']);
+
+  await withIndexedDB(async () => {
+    const { IDBObjectStore } = require('fake-indexeddb');
+    const cache = createStore({ dbName: 'bounded-db', maxEntries: 3 });
+    for (const key of ['a', 'b', 'c']) {
+      await cache.setItem(key, key);
+      await sleep(2);
+    }
+    await cache.getItem('a');
+    await sleep(2);
+
+    const listed = [];
+    const getAllKeys = IDBObjectStore.prototype.getAllKeys;
+    IDBObjectStore.prototype.getAllKeys = function (...args) {
+      listed.push(this.name);
+      return getAllKeys.apply(this, args);
+    };
+    try {
+      await cache.setItem('d', 'd');
+    } finally {
+      IDBObjectStore.prototype.getAllKeys = getAllKeys;
+    }
+    assertDeepEqual(listed, [], 'Eviction should walk the access index instead of listing the store');
+    assertDeepEqual(await cache.keys(), ['a', 'c', 'd']);
+    await cache.close();
+  });
+});
+
+runner.test('IndexedDB bounded stores should count keys given twice once', async () => {
+  await withIndexedDB(async (factory) => {
+    const readTotals = () => new Promise((resolve, reject) => {
+      const request = factory.open('twice-db');
+      request.onsuccess = () => {
+        const db = request.result;
+        const get = db.transaction('__tiny-idb-helper-access__').objectStore('__tiny-idb-helper-access__').get(['storage']);
+        get.onsuccess = () => {
+          db.close();
+          resolve(get.result && get.result.count);
+        };
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    const cache = createStore({ dbName: 'twice-db', maxEntries: 3 });
+    await cache.setMany([['a', 1], ['a', 2], ['b', 1]]);
+    assertEqual(await cache.getItem('a'), 2, 'The last value should win');
+    await cache.transaction(tx => Promise.all([tx.setItem('c', 1), tx.setItem('c', 2)]));
+    await cache.close();
+    assertEqual(await readTotals(), 3);
+
+    await cache.removeMany(['a', 'a']);
+    await cache.transaction(tx => Promise.all([tx.removeItem('c'), tx.removeItem('c')]));
+    await cache.close();
+    assertEqual(await readTotals(), 1);
+
+    // Totals left wrong by earlier versions are recounted from the statistics
+    await new Promise((resolve, reject) => {
+      const request = factory.open('twice-db');
+      request.onsuccess = () => {
+        const db = request.result;
+        const transaction = db.transaction('__tiny-idb-helper-access__', 'readwrite');
+        transaction.objectStore('__tiny-idb-helper-access__').put({ count: 7, bytes: 0 }, ['storage']);
+        transaction.oncomplete = () => {
+          db.close();
+          resolve();
+        };
+      };
+      request.onerror = () => reject(request.error);
+    });
+    await cache.setMany({ d: 1, e: 1 });
+    assertDeepEqual(await cache.keys(), ['b', 'd', 'e'], 'Nothing should be evicted');
+    await cache.close();
+    assertEqual(await readTotals(), 3);
+  });
+});
+
+runner.test('IndexedDB transactions should only span the stores they use', async () => {
+  await withIndexedDB(async () => {
+    const { IDBDatabase } = require('fake-indexeddb');
+    const scopes = [];
+    const transaction = IDBDatabase.prototype.transaction;
+    IDBDatabase.prototype.transaction = function (names, ...args) {
+      scopes.push([].concat(names).join(','));
+      return transaction.call(this, names, ...args);
+    };
+    try {
+      const plain = createStore({ dbName: 'scope-db' });
+      await plain.setItem('a', 1);
+      await plain.removeItem('a');
+      await plain.clear();
+      scopes.length = 0;
+      await plain.setItem('a', 1);
+      await plain.getItem('a');
+      await plain.removeMany(['a']);
+      assertDeepEqual(Array.from(new Set(scopes)), ['storage'], 'Plain stores should leave statistics and metadata out');
+
+      const bounded = createStore({ dbName: 'scope-db', storeName: 'cache', maxEntries: 2 });
+      await bounded.setItem('a', 1);
+      scopes.length = 0;
+      await bounded.setItem('b', 2);
+      assertDeepEqual(Array.from(new Set(scopes)), ['cache,__tiny-idb-helper-access__']);
+
+      const encrypted = createStore({ dbName: 'scope-db', storeName: 'secrets', encryption: { key: 'secret' } });
+      await encrypted.getItem('a');
+      scopes.length = 0;
+      await encrypted.setItem('a', 1);
+      assertDeepEqual(scopes, ['secrets,__tiny-idb-helper-meta__', 'secrets'], 'Only the salt should be read from the metadata');
+      assertEqual(await encrypted.getItem('a'), 1);
+
+      await Promise.all([plain.close(), bounded.close(), encrypted.close()]);
+    } finally {
+      IDBDatabase.prototype.transaction = transaction;
+    }
+  });
+});
+
+runner.test('eviction should support lfu and maxBytes', async () => {
+  const store = createStore({ maxEntries: 2, eviction: 'lfu' });
+  await store.setItem('popular', 1);
+  await store.setItem('rare', 2);
+  await store.getMany(['popular', 'popular']);
+  await store.getItem('popular');
+  await sleep(2);
+  await store.getItem('rare');
+  await store.transaction(tx => tx.setItem('new', 3));
+  assertDeepEqual(await store.keys(), ['new', 'popular'], 'The least frequently used entry should go');
+
+  // Sizes count like usage()
+  const sized = createStore({ dbName: 'sized-cache-db', maxBytes: 80 });
+  await sized.setItem('one', 'x'.repeat(30));
+  await sleep(2);
+  await sized.setItem('two', 'x'.repeat(30));
+  assertEqual((await sized.usage()).total, 70);
+  await sleep(2);
+  await sized.setItem('three', 'x'.repeat(30));
+  assertEqual((await sized.usage()).total, 72, 'Entries should fit maxBytes');
+  assertDeepEqual(await sized.keys(), ['three', 'two'], 'The oldest entries should go first');
+
+  const invalid = [{ maxEntries: 0 }, { maxBytes: -1 }, { eviction: 'fifo' }, { onEvict: 'log' }];
+  for (const options of invalid) {
+    const configError = await assertRejects(Promise.resolve().then(() => createStore(options)));
+    assert(configError.message.includes('Invalid configuration'), `Should reject ${JSON.stringify(options)}`);
+  }
+});
+
+runner.test('transaction() should commit several operations together', async () => {
+  await IDBH.setMany({ a: 5, d: 'gone' });
+  const events = [];
+  const unsubscribe = IDBH.subscribeAll(event => events.push(event));
+
+  const result = await IDBH.transaction(async (tx) => {
+    const a = await tx.getItem('a');
+    await tx.setItem('b', a * 2);
+    await tx.setItem('c', 'temporary', { ttl: 60000 });
+    await tx.removeItem('d');
+    assertEqual(await tx.getItem('d'), null, 'Reads should see earlier writes');
+    return tx.increment('a', 10);
+  });
+  unsubscribe();
+
+  assertEqual(result, 15);
+  assertDeepEqual(await IDBH.getMany(['a', 'b', 'c', 'd']), [15, 10, 'temporary', null]);
+  assertDeepEqual(events.map(({ key, type }) => `${type}:${key}`), ['set:b', 'set:c', 'remove:d', 'set:a']);
+  assertEqual(events[2].oldValue, 'gone');
+
+  await IDBH.clear();
+});
+
+runner.test('transaction() should fail fast when the callback awaits the store', async () => {
+  const error = await assertRejects(IDBH.transaction(async (tx) => {
+    await tx.setItem('a', 1);
+    await IDBH.setItem('b', 'outside');
+  }), 'Should reject instead of waiting for a call queued behind the transaction');
+
+  assertEqual(error.code, ERROR_CODES.TRANSACTION_FAILURE);
+  assertEqual(await IDBH.getItem('b'), 'outside', 'The queued call should run afterwards');
+  await IDBH.setItem('c', 3);
+  assertEqual(await IDBH.getItem('c'), 3, 'The store should stay usable');
+  await IDBH.clear();
+
+  const memoryStore = createStore({ fallbacks: [new MemoryAdapter()] });
+  await memoryStore.setItem('a', 1);
+  await assertRejects(memoryStore.transaction(async (tx) => {
+    await tx.setItem('a', 2);
+    await memoryStore.getItem('a');
+  }));
+  assertEqual(await memoryStore.getItem('a'), 1, 'The memory backend should roll the transaction back');
+});
+
+runner.test('transaction() should roll back when the callback throws', async () => {
+  await IDBH.setMany({ a: 1, d: 'kept' });
+  let events = 0;
+  const unsubscribe = IDBH.subscribeAll(() => events++);
+
+  const error = await assertRejects(IDBH.transaction(async (tx) => {
+    await tx.setItem('a', 2);
+    await tx.setItem('b', 'new');
+    await tx.removeItem('d');
+    await tx.increment('a');
+    throw new Error('abort');
+  }), 'Should reject when the callback throws');
+  unsubscribe();
+
+  assertEqual(error.message, 'abort');
+  assertDeepEqual(await IDBH.getMany(['a', 'b', 'd']), [1, null, 'kept'], 'Nothing should be written');
+  assertEqual(events, 0, 'Rolled back changes should not be reported');
+
+  const keyError = await assertRejects(IDBH.transaction(tx => tx.setItem(1, 'x')));
+  assertEqual(keyError.message, 'Key must be a string');
+  const callbackError = await assertRejects(IDBH.transaction('not a function'));
+  assertEqual(callbackError.message, 'Callback must be a function');
+
+  const drafts = IDBH.namespace('drafts');
+  await drafts.transaction(async (tx) => {
+    await tx.setItem('post', 'text');
+  });
+  assertEqual(await IDBH.getItem('drafts:post'), 'text', 'Namespace transactions should prefix keys');
+
+  await IDBH.clear();
+});
+
 // Test array operations
 runner.test('append() should add items to arrays', async () => {
   await IDBH.setItem('list', [1, 2]);
@@ -253,6 +632,14 @@ runner.test('prepend() should add items to beginning of arrays', async () => {
   await IDBH.clear();
 });
 
+runner.test('append() should not lose concurrent updates', async () => {
+  await Promise.all([1, 2, 3, 4, 5].map((n) => IDBH.append('queue', n)));
+  const queue = await IDBH.getItem('queue');
+  assertDeepEqual(queue.slice().sort(), [1, 2, 3, 4, 5]);
+  
+  await IDBH.clear();
+});
+
 // Test utility methods
 runner.test('keys() should return all keys', async () => {
   await IDBH.setItem('key1', 'value1');
@@ -294,6 +681,104 @@ runner.test('entries() should return all key-value pairs', async () => {
   await IDBH.clear();
 });
 
+runner.test('entriesMap() should keep key order and decode like getItem()', async () => {
+  await IDBH.setMany({ 'msg:1': 'one', 'msg:2': undefined, 'msg:3': { text: 'three' } });
+  
+  const latest = await IDBH.entriesMap({ prefix: 'msg:', reverse: true, limit: 2 });
+  assert(latest instanceof Map, 'entriesMap() should return a Map');
+  assertDeepEqual([...latest.keys()], ['msg:3', 'msg:2']);
+  assert(latest.has('msg:2') && latest.get('msg:2') === undefined, 'Undefined values should be kept');
+  assertDeepEqual([...(await IDBH.namespace('msg').entriesMap()).keys()], ['1', '2', '3']);
+  
+  await IDBH.clear();
+});
+
+runner.test('values() and entries() should reject undecodable entries', async () => {
+  const adapter = new MemoryAdapter();
+  const store = createStore({ fallbacks: [adapter] });
+  await store.setItem('good', 1);
+  await adapter.put('bad', '{broken');
+  
+  for (const read of [store.values(), store.entries(), store.entriesMap()]) {
+    const error = await assertRejects(read, 'Unparseable entries should not be returned raw');
+    assertEqual(error.code, ERROR_CODES.JSON_PARSE_ERROR);
+  }
+  assertDeepEqual(await store.values({ start: 'c' }), [1]);
+});
+
+runner.test('onCorrupt should handle undecodable entries on every read', async () => {
+  const adapter = new MemoryAdapter();
+  const nulls = createStore({ fallbacks: [adapter], onCorrupt: 'null' });
+  await nulls.setItem('good', 1);
+  await adapter.put('bad', '{broken');
+  
+  assertDeepEqual(await nulls.getEntry('bad'), { exists: true, value: null });
+  assertDeepEqual(await nulls.getMany(['bad', 'good']), [null, 1]);
+  assertDeepEqual(await nulls.entries(), { bad: null, good: 1 });
+  assertEqual(await nulls.update('bad', value => (value || 0) + 1), 1);
+  
+  await adapter.put('bad', '{broken');
+  const removes = createStore({ fallbacks: [adapter], onCorrupt: 'remove' });
+  assertDeepEqual(await removes.values(), [1]);
+  assertEqual(await removes.getItem('bad', { default: 'gone' }), 'gone');
+  assertEqual(await adapter.get('bad'), undefined, 'Corrupt entries should be removed');
+  
+  await adapter.put('bad', '[');
+  const error = await assertRejects(createStore({ fallbacks: [adapter] }).getItem('bad'), 'Corrupt entries should reject by default');
+  assertEqual(error.code, ERROR_CODES.JSON_PARSE_ERROR);
+  assert(error.corrupt, 'Corruption errors should be marked');
+  
+  const configError = await assertRejects(Promise.resolve().then(() => createStore({ onCorrupt: 'ignore' })));
+  assert(configError.message.includes('onCorrupt'));
+});
+
+runner.test('verify() should report and quarantine corrupt entries', async () => {
+  const adapter = new MemoryAdapter();
+  const store = createStore({ fallbacks: [adapter] });
+  await store.setMany({ a: 1, b: 'two' });
+  await adapter.put('broken', '{"unterminated');
+  
+  const report = await store.verify();
+  assertEqual(report.checked, 3);
+  assertDeepEqual(report.corrupt.map(({ key, code }) => [key, code]), [['broken', ERROR_CODES.JSON_PARSE_ERROR]]);
+  assertDeepEqual(report.unreadable, []);
+  assertEqual(report.quarantined, 0);
+  
+  const changes = [];
+  store.subscribeAll(change => changes.push([change.key, change.type]));
+  const quarantined = await store.verify({ quarantine: 'corrupt' });
+  assertEqual(quarantined.quarantined, 1);
+  assertDeepEqual(await store.keys(), ['a', 'b', 'corrupt:broken']);
+  assertDeepEqual(changes, [['broken', 'remove'], ['corrupt:broken', 'set']]);
+  
+  const entry = await store.namespace('corrupt').getItem('broken');
+  assertEqual(entry.data, '{"unterminated');
+  assertEqual(entry.binary, false);
+  assertEqual(entry.code, ERROR_CODES.JSON_PARSE_ERROR);
+  
+  assertDeepEqual((await store.verify()).corrupt, []);
+  await assertRejects(store.verify({ quarantine: 'a:b' }), 'Quarantine names should be validated');
+
+  // Entries rewritten since the scan are left alone, binary data compared byte by byte
+  const garbage = byte => ({
+    data: new Uint8Array([byte, 1, 2, 3]).buffer,
+    compression: { format: 'gzip', size: 4, compressedSize: 4, binary: true }
+  });
+  await adapter.put('bytes', garbage(0));
+  store._sealRecord = async (...args) => {
+    await adapter.put('bytes', garbage(9));
+    return Object.getPrototypeOf(store)._sealRecord.apply(store, args);
+  };
+  try {
+    const raced = await store.verify({ quarantine: 'corrupt' });
+    assertDeepEqual(raced.corrupt.map(({ key }) => key), ['bytes']);
+    assertEqual(raced.quarantined, 0);
+  } finally {
+    delete store._sealRecord;
+  }
+  assertDeepEqual(Array.from(new Uint8Array((await adapter.get('bytes')).data)), [9, 1, 2, 3]);
+});
+
 runner.test('has() should check if key exists', async () => {
   await IDBH.setItem('exists', 'value');
   
@@ -303,6 +788,28 @@ runner.test('has() should check if key exists', async () => {
   await IDBH.clear();
 });
 
+runner.test('has(), getEntry() and getItem() defaults should tell stored null from missing', async () => {
+  await IDBH.nullify('stored-null');
+  await IDBH.setItem('expired', 'value', { expiresAt: Date.now() - 1 });
+  
+  assert(await IDBH.has('stored-null'), 'Stored nulls should exist');
+  assertDeepEqual(await IDBH.getEntry('stored-null'), { exists: true, value: null });
+  assertDeepEqual(await IDBH.getEntry('missing'), { exists: false, value: null });
+  assertDeepEqual(await IDBH.getEntry('expired'), { exists: false, value: null });
+  
+  assertEqual(await IDBH.getItem('stored-null', { default: 'fallback' }), null);
+  assertEqual(await IDBH.getItem('missing', { default: 'fallback' }), 'fallback');
+  assertEqual(await IDBH.getItem('expired', { default: 0 }), 0);
+  
+  const drafts = IDBH.namespace('drafts');
+  await drafts.nullify('a');
+  assert(await drafts.has('a'));
+  assertDeepEqual(await drafts.getEntry('a'), { exists: true, value: null });
+  assertEqual(await drafts.getItem('b', { default: [] }).then(value => value.length), 0);
+  
+  await IDBH.clear();
+});
+
 runner.test('length() should return number of items', async () => {
   assertEqual(await IDBH.length(), 0);
   
@@ -338,91 +845,1855 @@ runner.test('replaceAll() should replace all data', async () => {
   await IDBH.clear();
 });
 
-// Test parameter validation
-runner.test('should validate key parameter types', async () => {
-  const error1 = await assertRejects(
-    IDBH.getItem(123),
-    'Should reject non-string key in getItem'
-  );
-  assert(error1.message.includes('Key must be a string'));
+// Test batch operations
+runner.test('setMany() should store objects and entry lists', async () => {
+  await IDBH.setMany({ a: 1, b: 'two' });
+  await IDBH.setMany([['c', [3]], ['d', { four: 4 }]]);
+  await IDBH.setMany(new Map([['e', true]]));
+  
+  assertDeepEqual(await IDBH.entries(), { a: 1, b: 'two', c: [3], d: { four: 4 }, e: true });
+  
+  await IDBH.clear();
+});
 
-  const error2 = await assertRejects(
-    IDBH.setItem(123, 'value'),
-    'Should reject non-string key in setItem'
+runner.test('setMany() should write nothing when a value fails to serialize', async () => {
+  const circularObj = {};
+  circularObj.self = circularObj;
+  
+  const error = await assertRejects(
+    IDBH.setMany({ good: 1, bad: circularObj }),
+    'Should reject circular references'
   );
-  assert(error2.message.includes('Key must be a string'));
+  assertEqual(error.code, ERROR_CODES.JSON_PARSE_ERROR);
+  assertEqual(await IDBH.length(), 0);
+  
+  const keyError = await assertRejects(
+    IDBH.setMany([['ok', 1], [2, 'invalid']]),
+    'Should reject non-string keys'
+  );
+  assert(keyError.message.includes('Key must be a string'));
+  assertEqual(await IDBH.length(), 0);
 });
 
-// Test fallback mode detection
-runner.test('should detect memory fallback mode', async () => {
-  // Since we mocked IndexedDB as null, it should use memory fallback
-  assert(IDBH.isUsingMemoryFallback(), 'Should be using memory fallback');
+runner.test('getMany() should return values in key order', async () => {
+  await IDBH.setMany({ a: 1, b: 2, expired: 3 });
+  await IDBH.setItem('expired', 3, { expiresAt: Date.now() - 1 });
+  
+  assertDeepEqual(await IDBH.getMany(['b', 'missing', 'a', 'expired']), [2, null, 1, null]);
+  assertDeepEqual(await IDBH.getMany([]), []);
+  
+  await IDBH.clear();
 });
 
-// Test clear functionality
-runner.test('clear() should remove all data', async () => {
-  await IDBH.setItem('key1', 'value1');
-  await IDBH.setItem('key2', 'value2');
+runner.test('removeMany() should remove the given keys', async () => {
+  await IDBH.setMany({ a: 1, b: 2, c: 3 });
+  await IDBH.removeMany(['a', 'c', 'missing']);
   
-  assertEqual(await IDBH.length(), 2);
+  assertDeepEqual(await IDBH.keys(), ['b']);
+  
+  const error = await assertRejects(IDBH.removeMany('a'), 'Should reject non-array keys');
+  assert(error.message.includes('Keys must be an array'));
   
   await IDBH.clear();
+});
+
+runner.test('setMany() and removeMany() should emit change events', async () => {
+  await IDBH.setItem('a', 0);
+  const events = [];
+  const unsubscribe = IDBH.subscribeAll(event => events.push(event));
   
-  assertEqual(await IDBH.length(), 0);
-  assertEqual(await IDBH.getItem('key1'), null);
-  assertEqual(await IDBH.getItem('key2'), null);
+  await IDBH.setMany({ a: 1, b: 2 });
+  await IDBH.removeMany(['a']);
+  unsubscribe();
+  
+  assertDeepEqual(events, [
+    { key: 'a', oldValue: 0, newValue: 1, type: 'set' },
+    { key: 'b', oldValue: null, newValue: 2, type: 'set' },
+    { key: 'a', oldValue: 1, newValue: null, type: 'remove' }
+  ]);
+  
+  await IDBH.clear();
 });
 
-// Test edge cases
-runner.test('should handle null and undefined values', async () => {
-  await IDBH.setItem('null-key', null);
-  await IDBH.setItem('undefined-key', undefined);
+// Test expiry
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+runner.test('setItem() with ttl should expire entries', async () => {
+  await IDBH.setItem('cached', 'response', { ttl: 20 });
+  await IDBH.setItem('permanent', 'value');
   
-  assertEqual(await IDBH.getItem('null-key'), null);
-  assertEqual(await IDBH.getItem('undefined-key'), undefined);
+  assertEqual(await IDBH.getItem('cached'), 'response');
+  assert(await IDBH.has('cached'));
+  
+  await sleep(30);
+  
+  assertEqual(await IDBH.getItem('cached'), null);
+  assert(!(await IDBH.has('cached')));
+  assertDeepEqual(await IDBH.keys(), ['permanent']);
+  assertDeepEqual(await IDBH.values(), ['value']);
+  assertDeepEqual(await IDBH.entries(), { permanent: 'value' });
+  assertEqual(await IDBH.length(), 1);
   
   await IDBH.clear();
 });
 
-runner.test('should handle empty strings and objects', async () => {
-  await IDBH.setItem('empty-string', '');
-  await IDBH.setItem('empty-object', {});
-  await IDBH.setItem('empty-array', []);
+runner.test('setItem() with expiresAt should treat past entries as absent', async () => {
+  await IDBH.setItem('past', 'value', { expiresAt: Date.now() - 1 });
+  await IDBH.setItem('future', 'value', { expiresAt: new Date(Date.now() + 60000) });
   
-  assertEqual(await IDBH.getItem('empty-string'), '');
-  assertDeepEqual(await IDBH.getItem('empty-object'), {});
-  assertDeepEqual(await IDBH.getItem('empty-array'), []);
+  assertEqual(await IDBH.getItem('past'), null);
+  assertEqual(await IDBH.getItem('future'), 'value');
+  assertEqual(await IDBH.length(), 1);
   
   await IDBH.clear();
 });
 
-// Test error handling for invalid JSON
-runner.test('should handle circular references gracefully', async () => {
-  const circularObj = { name: 'test' };
-  circularObj.self = circularObj; // Create circular reference
+runner.test('setItem() without ttl should clear a previous expiry', async () => {
+  await IDBH.setItem('key', 'old', { ttl: 20 });
+  await IDBH.setItem('key', 'new');
+  await sleep(30);
   
-  const error = await assertRejects(
-    IDBH.setItem('circular', circularObj),
-    'Should reject circular references'
+  assertEqual(await IDBH.getItem('key'), 'new');
+  
+  await IDBH.clear();
+});
+
+runner.test('setItem() should validate expiry options', async () => {
+  const error1 = await assertRejects(
+    IDBH.setItem('key', 'value', { ttl: -5 }),
+    'Should reject negative ttl'
   );
-  assert(error.message.includes('JSON'));
+  assert(error1.message.includes('ttl'));
+  
+  const error2 = await assertRejects(
+    IDBH.setItem('key', 'value', { ttl: 10, expiresAt: Date.now() }),
+    'Should reject ttl combined with expiresAt'
+  );
+  assert(error2.message.includes('either'));
 });
 
-// Test reconfiguration
-runner.test('should handle reconfiguration', async () => {
-  // Set initial data
-  IDBH.configure({ dbName: 'db1' });
-  await IDBH.setItem('key1', 'value1');
+runner.test('update() should keep expiry and restart expired entries', async () => {
+  await IDBH.setItem('counter', 5, { ttl: 20 });
+  assertEqual(await IDBH.increment('counter'), 6);
+  await sleep(30);
   
-  // Reconfigure with different database
-  IDBH.configure({ dbName: 'db2' });
-  await IDBH.setItem('key2', 'value2');
+  assertEqual(await IDBH.getItem('counter'), null);
+  assertEqual(await IDBH.increment('counter'), 1);
+  await sleep(30);
+  assertEqual(await IDBH.getItem('counter'), 1);
   
-  // Should not see key1 in new database
-  assertEqual(await IDBH.getItem('key1'), null);
-  assertEqual(await IDBH.getItem('key2'), 'value2');
+  await IDBH.clear();
+});
+
+runner.test('purgeExpired() should remove expired entries', async () => {
+  await IDBH.setItem('a', 1, { expiresAt: Date.now() - 1 });
+  await IDBH.setItem('b', 2, { expiresAt: Date.now() - 1 });
+  await IDBH.setItem('c', 3, { ttl: 60000 });
+  await IDBH.setItem('d', 4);
+  
+  assertEqual(await IDBH.purgeExpired(), 2);
+  assertEqual(await IDBH.purgeExpired(), 0);
+  assertDeepEqual((await IDBH.keys()).sort(), ['c', 'd']);
+  
+  await IDBH.clear();
+});
+
+runner.test('sweepInterval should purge expired entries periodically', async () => {
+  const store = createStore({ dbName: 'sweep-db', sweepInterval: 10 });
+  await store.setItem('short', 'value', { ttl: 5 });
+  await sleep(40);
+  
+  assertEqual(await store.purgeExpired(), 0, 'Sweep should already have purged');
+  
+  store.configure({ dbName: 'sweep-db' });
+  await store.clear();
+});
+
+runner.test('IndexedDB should add the expiry index and find expired entries through it', async () => {
+  await withIndexedDB(async (factory) => {
+    const openRaw = (upgrade) => new Promise((resolve, reject) => {
+      const request = upgrade ? factory.open('expiry-db', 1) : factory.open('expiry-db');
+      request.onupgradeneeded = () => upgrade(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // A database written before expiry support, without the index
+    const old = await openRaw(db => db.createObjectStore('storage').put('"kept"', 'old'));
+    old.close();
+
+    const store = createStore({ dbName: 'expiry-db' });
+    await store.setItem('fresh', 1, { ttl: 60000 });
+    await store.setItem('stale', 2, { expiresAt: Date.now() - 1 });
+    assertEqual(store.isUsingMemoryFallback(), false);
+
+    const upgraded = await openRaw();
+    const indexNames = Array.from(upgraded.transaction(['storage'], 'readonly').objectStore('storage').indexNames);
+    upgraded.close();
+    assertDeepEqual(indexNames, ['expiresAt'], 'Opening should add the expiry index');
+
+    assertEqual(await store.getItem('old'), 'kept', 'Existing entries should stay readable');
+    assertEqual(await store.length(), 2);
+    assertEqual(await store.purgeExpired(), 1);
+    assertEqual(await store.getItem('stale'), null);
+    assertDeepEqual(await store.keys(), ['fresh', 'old']);
+  });
+});
+
+// Test change subscriptions
+runner.test('subscribe() should notify about changes of a key', async () => {
+  const events = [];
+  const unsubscribe = IDBH.subscribe('watched', event => events.push(event));
+  
+  await IDBH.setItem('watched', 'first');
+  await IDBH.setItem('watched', 'second');
+  await IDBH.setItem('other', 'ignored');
+  await IDBH.removeItem('watched');
+  
+  assertDeepEqual(events, [
+    { key: 'watched', oldValue: null, newValue: 'first', type: 'set' },
+    { key: 'watched', oldValue: 'first', newValue: 'second', type: 'set' },
+    { key: 'watched', oldValue: 'second', newValue: null, type: 'remove' }
+  ]);
+  
+  unsubscribe();
+  await IDBH.setItem('watched', 'third');
+  assertEqual(events.length, 3);
+  
+  await IDBH.clear();
+});
+
+runner.test('subscribeAll() should notify about derived helpers and clear', async () => {
+  const events = [];
+  const unsubscribe = IDBH.subscribeAll(event => events.push(event));
   
+  await IDBH.increment('count');
+  await IDBH.append('list', 'a');
+  await IDBH.append('list', 'b');
   await IDBH.clear();
+  unsubscribe();
+  
+  assertDeepEqual(events.slice(0, 3), [
+    { key: 'count', oldValue: null, newValue: 1, type: 'set' },
+    { key: 'list', oldValue: null, newValue: ['a'], type: 'set' },
+    { key: 'list', oldValue: ['a'], newValue: ['a', 'b'], type: 'set' }
+  ]);
+  const cleared = events.slice(3).sort((a, b) => a.key.localeCompare(b.key));
+  assertDeepEqual(cleared, [
+    { key: 'count', oldValue: 1, newValue: null, type: 'clear' },
+    { key: 'list', oldValue: ['a', 'b'], newValue: null, type: 'clear' }
+  ]);
+});
+
+runner.test('subscribe() should isolate failing listeners', async () => {
+  const originalError = console.error;
+  console.error = () => {};
+  let called = false;
+  const unsubscribeFailing = IDBH.subscribe('key', () => { throw new Error('listener failed'); });
+  const unsubscribe = IDBH.subscribe('key', () => { called = true; });
+  
+  try {
+    await IDBH.setItem('key', 'value');
+    assert(called, 'Second listener should still be called');
+  } finally {
+    console.error = originalError;
+    unsubscribeFailing();
+    unsubscribe();
+    await IDBH.clear();
+  }
+});
+
+runner.test('subscribe() should not fire when the write fails', async () => {
+  let called = false;
+  const unsubscribe = IDBH.subscribeAll(() => { called = true; });
+  
+  await assertRejects(IDBH.update('key', () => { throw new Error('boom'); }));
+  assert(!called, 'Listener should not be called');
+  
+  unsubscribe();
+});
+
+// Test cross-tab synchronisation
+runner.test('broadcast should deliver changes to other instances of the database', async () => {
+  if (typeof BroadcastChannel !== 'function') {
+    return;
+  }
+
+  const tabA = createStore({ dbName: 'shared-db', broadcast: true });
+  const tabB = createStore({ dbName: 'shared-db', broadcast: true });
+  const otherStore = createStore({ dbName: 'shared-db', storeName: 'other', broadcast: true });
+  const received = [];
+  const ignored = [];
+  tabB.subscribe('theme', event => received.push(event));
+  otherStore.subscribeAll(event => ignored.push(event));
+  
+  await tabA.setItem('theme', 'dark');
+  await sleep(20);
+  
+  assertDeepEqual(received, [
+    { key: 'theme', oldValue: null, newValue: 'dark', type: 'set', remote: true }
+  ]);
+  assertEqual(ignored.length, 0);
+  
+  tabA.configure({ dbName: 'shared-db' });
+  tabB.configure({ dbName: 'shared-db' });
+  otherStore.configure({ dbName: 'shared-db' });
+});
+
+runner.test('broadcast should be validated and off by default', async () => {
+  assertEqual(createStore().config.broadcast, false);
+  
+  const error = await assertRejects(
+    Promise.resolve().then(() => createStore({ broadcast: 'yes' })),
+    'Should reject non-boolean broadcast'
+  );
+  assert(error.message.includes('Invalid configuration'));
+});
+
+runner.test('replaceAll() should keep existing data when serialization fails', async () => {
+  await IDBH.setItem('keep', 'me');
+  const circularObj = {};
+  circularObj.self = circularObj;
+  
+  const error = await assertRejects(
+    IDBH.replaceAll({ a: 1, b: 2, c: 3, d: 4, e: circularObj }),
+    'Should reject circular references'
+  );
+  assertEqual(error.code, ERROR_CODES.JSON_PARSE_ERROR);
+  assertDeepEqual(await IDBH.entries(), { keep: 'me' });
+  
+  await IDBH.clear();
+});
+
+runner.test('replaceAll() should emit changes for replaced and dropped keys', async () => {
+  await IDBH.setMany({ kept: 1, dropped: 2 });
+  const events = [];
+  const unsubscribe = IDBH.subscribeAll(event => events.push(event));
+  
+  await IDBH.replaceAll({ kept: 10, added: 20 });
+  unsubscribe();
+  
+  assertDeepEqual(events, [
+    { key: 'dropped', oldValue: 2, newValue: null, type: 'clear' },
+    { key: 'kept', oldValue: 1, newValue: 10, type: 'set' },
+    { key: 'added', oldValue: null, newValue: 20, type: 'set' }
+  ]);
+  
+  await IDBH.clear();
+});
+
+// Test structured clone serialization
+runner.test('structured serialization should preserve rich types', async () => {
+  if (typeof structuredClone !== 'function') {
+    return;
+  }
+
+  const store = createStore({ dbName: 'structured-db', serialization: 'structured' });
+  const date = new Date('2024-01-02T03:04:05Z');
+  await store.setItem('date', date);
+  await store.setItem('map', new Map([['a', 1]]));
+  await store.setItem('set', new Set([1, 2]));
+  await store.setItem('bytes', new Uint8Array([1, 2, 3]));
+  await store.setItem('buffer', new Uint8Array([4, 5]).buffer);
+  
+  const storedDate = await store.getItem('date');
+  assert(storedDate instanceof Date, 'Date should stay a Date');
+  assertEqual(storedDate.getTime(), date.getTime());
+  
+  const map = await store.getItem('map');
+  assert(map instanceof Map, 'Map should stay a Map');
+  assertEqual(map.get('a'), 1);
+  
+  const set = await store.getItem('set');
+  assert(set instanceof Set && set.has(2), 'Set should stay a Set');
+  
+  const bytes = await store.getItem('bytes');
+  assert(bytes instanceof Uint8Array, 'Typed array should stay a typed array');
+  assertDeepEqual(Array.from(bytes), [1, 2, 3]);
+  
+  const buffer = await store.getItem('buffer');
+  assert(buffer instanceof ArrayBuffer, 'ArrayBuffer should stay an ArrayBuffer');
+  assertEqual(buffer.byteLength, 2);
+  
+  if (typeof Blob === 'function') {
+    await store.setItem('blob', new Blob(['hello']));
+    const blob = await store.getItem('blob');
+    assertEqual(await blob.text(), 'hello');
+  }
+  
+  await store.clear();
+});
+
+runner.test('structured serialization should return independent copies', async () => {
+  if (typeof structuredClone !== 'function') {
+    return;
+  }
+
+  const store = createStore({ dbName: 'structured-db', serialization: 'structured' });
+  const original = { list: [1] };
+  await store.setItem('obj', original);
+  original.list.push(2);
+  
+  const copy = await store.getItem('obj');
+  assertDeepEqual(copy, { list: [1] });
+  copy.list.push(3);
+  assertDeepEqual(await store.getItem('obj'), { list: [1] });
+  
+  await store.clear();
+});
+
+runner.test('structured serialization should handle undefined and the undefined marker', async () => {
+  if (typeof structuredClone !== 'function') {
+    return;
+  }
+
+  const store = createStore({ dbName: 'structured-db', serialization: 'structured' });
+  await store.setItem('undefined', undefined);
+  await store.setItem('marker', '__TINY_IDB_UNDEFINED__');
+  
+  assertEqual(await store.getItem('undefined'), undefined);
+  assertEqual(await store.getItem('marker'), '__TINY_IDB_UNDEFINED__');
+  
+  await store.clear();
+});
+
+runner.test('structured serialization should reject uncloneable values', async () => {
+  if (typeof structuredClone !== 'function') {
+    return;
+  }
+
+  const store = createStore({ dbName: 'structured-db', serialization: 'structured' });
+  const error = await assertRejects(
+    store.setItem('fn', { callback: () => {} }),
+    'Should reject functions'
+  );
+  assertEqual(error.code, ERROR_CODES.SERIALIZATION_ERROR);
+  assertEqual(await store.length(), 0);
+  
+  const configError = await assertRejects(
+    Promise.resolve().then(() => createStore({ serialization: 'xml' })),
+    'Should reject unknown serialization modes'
+  );
+  assert(configError.message.includes('Invalid configuration'));
+});
+
+// Test custom serializers
+const revivingSerializer = {
+  serialize: (value) => JSON.stringify(value, function (key, val) {
+    if (typeof val === 'bigint') return { $bigint: val.toString() };
+    if (this[key] instanceof Date) return { $date: val };
+    return val;
+  }),
+  deserialize: (text) => JSON.parse(text, (key, val) => {
+    if (val && typeof val.$bigint === 'string') return BigInt(val.$bigint);
+    if (val && typeof val.$date === 'string') return new Date(val.$date);
+    return val;
+  })
+};
+
+runner.test('serializer should be used for reads and writes', async () => {
+  const store = createStore({ dbName: 'codec-db', serializer: revivingSerializer });
+  const date = new Date('2024-05-06T07:08:09Z');
+  await store.setItem('created', date);
+  await store.setItem('big', 12345678901234567890n);
+  await store.setItem('nothing', undefined);
+  
+  const created = await store.getItem('created');
+  assert(created instanceof Date, 'Date should be revived');
+  assertEqual(created.getTime(), date.getTime());
+  assertEqual(await store.getItem('big'), 12345678901234567890n);
+  assertEqual(await store.getItem('nothing'), undefined);
+  
+  const entries = await store.entries();
+  assert(entries.created instanceof Date, 'entries() should use the serializer');
+  const values = await store.values();
+  assert(values.some(value => value === 12345678901234567890n), 'values() should use the serializer');
+  
+  await store.clear();
+});
+
+runner.test('serializer may produce binary data', async () => {
+  const binarySerializer = {
+    serialize: (value) => new TextEncoder().encode(JSON.stringify(value)),
+    deserialize: (bytes) => JSON.parse(new TextDecoder().decode(bytes))
+  };
+  const store = createStore({ dbName: 'codec-db', serializer: binarySerializer });
+  await store.setItem('doc', { title: 'Binary' });
+  assertEqual(await store.increment('count'), 1);
+  
+  assertDeepEqual(await store.getItem('doc'), { title: 'Binary' });
+  assertEqual(await store.getItem('count'), 1);
+  
+  await store.clear();
+});
+
+runner.test('serializer errors should use SERIALIZATION_ERROR', async () => {
+  const failingSerializer = {
+    serialize: () => { throw new Error('cannot encode'); },
+    deserialize: (value) => value
+  };
+  const store = createStore({ dbName: 'codec-db', serializer: failingSerializer });
+  
+  const error = await assertRejects(store.setItem('key', 'value'), 'Should reject codec failures');
+  assertEqual(error.code, ERROR_CODES.SERIALIZATION_ERROR);
+  assert(error.message.includes('cannot encode'));
+  
+  const configError = await assertRejects(
+    Promise.resolve().then(() => createStore({ serializer: { serialize: JSON.stringify } })),
+    'Should reject incomplete serializers'
+  );
+  assert(configError.message.includes('Invalid configuration'));
+});
+
+// Test export and import
+runner.test('exportAll() should produce a self-describing snapshot', async () => {
+  IDBH.configure({ dbName: 'export-db' });
+  await IDBH.setItem('user', { name: 'John' });
+  await IDBH.setItem('nothing', undefined);
+  await IDBH.setItem('session', 'token', { expiresAt: 4102444800000 });
+  await IDBH.setItem('gone', 'value', { expiresAt: Date.now() - 1 });
+  
+  const snapshot = await IDBH.exportAll();
+  assertEqual(snapshot.format, 'tiny-idb-helper');
+  assertEqual(snapshot.version, 2);
+  assertEqual(snapshot.dbName, 'export-db');
+  assert(!Number.isNaN(Date.parse(snapshot.createdAt)), 'createdAt should be a date');
+  
+  const entries = snapshot.entries.sort((a, b) => a.key.localeCompare(b.key));
+  assertDeepEqual(entries, [
+    { key: 'nothing', data: '__TINY_IDB_UNDEFINED__' },
+    { key: 'session', data: '"token"', expiresAt: 4102444800000 },
+    { key: 'user', data: '{"name":"John"}' }
+  ]);
+  
+  await IDBH.clear();
+});
+
+runner.test('importAll() should restore a JSON round-tripped snapshot', async () => {
+  const source = createStore({ dbName: 'source-db' });
+  await source.setMany({ a: 1, list: [1, 2], nothing: undefined });
+  await source.setItem('session', 'token', { ttl: 20 });
+  const json = JSON.stringify(await source.exportAll());
+  
+  const target = createStore({ dbName: 'target-db' });
+  await target.setItem('existing', true);
+  assertEqual(await target.importAll(JSON.parse(json)), 4);
+  
+  assertEqual(await target.getItem('a'), 1);
+  assertDeepEqual(await target.getItem('list'), [1, 2]);
+  assertEqual(await target.getItem('nothing'), undefined);
+  assert(await target.has('existing'), 'Merge should keep existing entries');
+  await sleep(30);
+  assertEqual(await target.getItem('session'), null, 'Expiry should be preserved');
+  
+  await source.clear();
+  await target.clear();
+});
+
+runner.test('importAll() replace mode should remove other entries', async () => {
+  const store = createStore({ dbName: 'import-db' });
+  await store.setItem('keep', 1);
+  const snapshot = await store.exportAll();
+  await store.setItem('drop', 2);
+  
+  await store.importAll(snapshot, { mode: 'replace' });
+  assertDeepEqual(await store.entries(), { keep: 1 });
+  
+  await store.clear();
+});
+
+runner.test('importAll() should preserve structured values', async () => {
+  if (typeof structuredClone !== 'function') {
+    return;
+  }
+
+  const source = createStore({ dbName: 'structured-source', serialization: 'structured' });
+  await source.setItem('when', new Date(1000));
+  const target = createStore({ dbName: 'structured-target', serialization: 'structured' });
+  await target.importAll(await source.exportAll());
+  
+  const when = await target.getItem('when');
+  assert(when instanceof Date, 'Date should survive export and import');
+  assertEqual(when.getTime(), 1000);
+  
+  await source.clear();
+  await target.clear();
+});
+
+runner.test('structured snapshots should survive JSON', async () => {
+  if (typeof structuredClone !== 'function') {
+    return;
+  }
+
+  const source = createStore({ dbName: 'structured-source', serialization: 'structured' });
+  const cyclic = { name: 'loop', tagged: { $type: 'Date', value: 'not a date' } };
+  cyclic.self = cyclic;
+  const shared = new Date(5000);
+  await source.setMany({
+    map: new Map([['when', shared], ['again', shared]]),
+    set: new Set([1, 'two', 3n]),
+    bytes: new Float64Array([1.5, -0, NaN]),
+    blob: new Blob(['hello'], { type: 'text/plain' }),
+    pattern: /a+b/gi,
+    error: new RangeError('too far'),
+    cyclic,
+    nothing: undefined,
+    plain: 'text'
+  });
+
+  const target = createStore({ dbName: 'structured-target', serialization: 'structured' });
+  assertEqual(await target.importAll(JSON.parse(JSON.stringify(await source.exportAll()))), 9);
+
+  const map = await target.getItem('map');
+  assert(map instanceof Map && map.get('when') instanceof Date, 'Maps and Dates should survive JSON');
+  assertEqual(map.get('when').getTime(), 5000);
+  assert(map.get('when') === map.get('again'), 'Shared objects should stay shared');
+  const set = await target.getItem('set');
+  assertDeepEqual(Array.from(set, String), ['1', 'two', '3']);
+  assertEqual(typeof Array.from(set)[2], 'bigint');
+  const bytes = await target.getItem('bytes');
+  assert(bytes instanceof Float64Array, 'Typed arrays should keep their type');
+  assert(bytes[0] === 1.5 && Object.is(bytes[1], -0) && Number.isNaN(bytes[2]), 'Typed arrays should keep their contents');
+  const blob = await target.getItem('blob');
+  assertEqual(blob.type, 'text/plain');
+  assertEqual(await blob.text(), 'hello');
+  assertEqual(String(await target.getItem('pattern')), '/a+b/gi');
+  const error = await target.getItem('error');
+  assert(error instanceof RangeError && error.message === 'too far', 'Errors should keep their type');
+  const restored = await target.getItem('cyclic');
+  assert(restored.self === restored, 'Cycles should be restored');
+  assertDeepEqual(restored.tagged, { $type: 'Date', value: 'not a date' }, 'Objects with $type should stay plain');
+  assertEqual(await target.getItem('nothing'), undefined);
+  assertEqual(await target.getItem('plain'), 'text');
+
+  const snapshot = await source.exportAll();
+  snapshot.entries[0].data = { $type: 'Mystery', value: 1 };
+  const importError = await assertRejects(target.importAll(snapshot, { mode: 'replace' }), 'Unknown types should be rejected');
+  assertEqual(importError.code, ERROR_CODES.INVALID_SNAPSHOT);
+  assertEqual(await target.length(), 9, 'Rejected snapshots should change nothing');
+
+  await source.clear();
+  await target.clear();
+});
+
+runner.test('importAll() should reject invalid snapshots without writing', async () => {
+  const store = createStore({ dbName: 'import-db' });
+  await store.setItem('keep', 1);
+  const valid = { format: 'tiny-idb-helper', version: 1, entries: [] };
+  
+  const invalidSnapshots = [
+    null,
+    { format: 'other', version: 1, entries: [] },
+    { ...valid, version: 99 },
+    { ...valid, entries: {} },
+    { ...valid, entries: [{ key: 'a', data: '1' }, { key: 5, data: '1' }] },
+    { ...valid, entries: [{ key: 'a', data: 1 }] }
+  ];
+  for (const snapshot of invalidSnapshots) {
+    const error = await assertRejects(store.importAll(snapshot, { mode: 'replace' }), 'Should reject invalid snapshot');
+    assertEqual(error.code, ERROR_CODES.INVALID_SNAPSHOT);
+  }
+  
+  const parseError = await assertRejects(
+    store.importAll({ ...valid, entries: [{ key: 'a', data: '1' }, { key: 'b', data: '{broken' }] }, { mode: 'replace' }),
+    'Should reject undecodable entries'
+  );
+  assertEqual(parseError.code, ERROR_CODES.JSON_PARSE_ERROR);
+  assertDeepEqual(await store.entries(), { keep: 1 });
+  
+  await store.clear();
+});
+
+runner.test('keys() should support prefix, range, limit and reverse queries', async () => {
+  const store = createStore({ dbName: 'query-db' });
+  await store.setMany({ 'msg:1': 1, 'msg:2': 2, 'msg:3': 3, 'msh': 0, 'msg': -1, 'user:1': 'a' });
+  
+  assertDeepEqual(await store.keys({ prefix: 'msg:' }), ['msg:1', 'msg:2', 'msg:3']);
+  assertDeepEqual(await store.keys({ prefix: 'msg:', reverse: true, limit: 2 }), ['msg:3', 'msg:2']);
+  assertDeepEqual(await store.keys({ start: 'msg:2', end: 'user:1' }), ['msg:2', 'msg:3', 'msh']);
+  assertDeepEqual(await store.keys({ prefix: 'msg:', start: 'msg:2' }), ['msg:2', 'msg:3']);
+  assertDeepEqual(await store.keys({ prefix: 'none:' }), []);
+  assertDeepEqual(await store.keys({ start: 'z', end: 'a' }), []);
+  assertDeepEqual(await store.keys({ limit: 0 }), []);
+  assertDeepEqual(await store.values({ prefix: 'msg:', limit: 2 }), [1, 2]);
+  assertDeepEqual(await store.entries({ prefix: 'msg:', reverse: true }), { 'msg:3': 3, 'msg:2': 2, 'msg:1': 1 });
+  
+  await store.clear();
+});
+
+runner.test('range queries should skip expired entries', async () => {
+  const store = createStore({ dbName: 'query-db' });
+  await store.setItem('msg:1', 1, { ttl: 20 });
+  await store.setItem('msg:2', 2);
+  await store.setItem('msg:3', 3);
+  await sleep(30);
+  
+  assertDeepEqual(await store.keys({ prefix: 'msg:', limit: 1 }), ['msg:2']);
+  assertDeepEqual(await store.entries(), { 'msg:2': 2, 'msg:3': 3 });
+  
+  await store.clear();
+});
+
+runner.test('iterate() should page through entries in key order', async () => {
+  const store = createStore({ dbName: 'query-db' });
+  const data = {};
+  for (let i = 0; i < 25; i++) {
+    data[`msg:${String(i).padStart(2, '0')}`] = i;
+  }
+  await store.setMany({ ...data, other: true });
+  
+  const seen = [];
+  for await (const [key, value] of store.iterate({ prefix: 'msg:', pageSize: 10 })) {
+    seen.push([key, value]);
+  }
+  assertDeepEqual(seen, Object.entries(data));
+  
+  const reversed = [];
+  for await (const [key] of store.iterate({ prefix: 'msg:', reverse: true, limit: 12, pageSize: 5 })) {
+    reversed.push(key);
+  }
+  assertDeepEqual(reversed, Object.keys(data).reverse().slice(0, 12));
+  
+  await store.clear();
+});
+
+runner.test('range queries should read IndexedDB with a cursor that stops at the limit', async () => {
+  await withIndexedDB(async () => {
+    const { IDBObjectStore, IDBCursor } = require('fake-indexeddb');
+    const store = createStore({ dbName: 'cursor-db' });
+    const data = {};
+    for (let i = 0; i < 50; i++) {
+      data[`msg:${String(i).padStart(2, '0')}`] = i;
+    }
+    await store.setMany({ ...data, other: true });
+    await store.setItem('msg:49', 'expired', { expiresAt: Date.now() - 1 });
+    assertEqual(store.getBackend(), 'indexeddb');
+    
+    const getAllKeys = IDBObjectStore.prototype.getAllKeys;
+    const advance = IDBCursor.prototype.continue;
+    let keyLists = 0;
+    let steps = 0;
+    IDBObjectStore.prototype.getAllKeys = function (...args) {
+      keyLists++;
+      return getAllKeys.apply(this, args);
+    };
+    IDBCursor.prototype.continue = function (...args) {
+      steps++;
+      return advance.apply(this, args);
+    };
+    try {
+      assertDeepEqual(await store.keys({ prefix: 'msg:', reverse: true, limit: 2 }), ['msg:48', 'msg:47']);
+      assertEqual(steps, 2, 'The cursor should stop once the limit is reached');
+      
+      const latest = await store.entriesMap({ prefix: 'msg:', limit: 3 });
+      assertDeepEqual([...latest], [['msg:00', 0], ['msg:01', 1], ['msg:02', 2]]);
+      
+      const seen = [];
+      for await (const [key] of store.iterate({ prefix: 'msg:', pageSize: 10 })) {
+        seen.push(key);
+      }
+      assertDeepEqual(seen, Object.keys(data).slice(0, 49));
+      assertEqual(keyLists, 0, 'Range queries should not list every key');
+    } finally {
+      IDBObjectStore.prototype.getAllKeys = getAllKeys;
+      IDBCursor.prototype.continue = advance;
+      await store.close();
+    }
+  });
+});
+
+runner.test('range queries should validate options', async () => {
+  await assertRejects(IDBH.keys({ prefix: 1 }), 'Should reject non-string prefix');
+  await assertRejects(IDBH.entries({ limit: -1 }), 'Should reject negative limit');
+  await assertRejects(IDBH.values({ reverse: 'yes' }), 'Should reject non-boolean reverse');
+  await assertRejects(IDBH.iterate({ pageSize: 0 }).next(), 'Should reject invalid pageSize');
+});
+
+runner.test('namespace() should scope keys and clear()', async () => {
+  const store = createStore({ dbName: 'namespace-db' });
+  const drafts = store.namespace('drafts');
+  const flags = store.namespace('flags');
+  
+  await store.setItem('global', 1);
+  await drafts.setItem('post', { title: 'Hello' });
+  await drafts.setMany({ a: 1, b: 2 });
+  await flags.setItem('post', true);
+  
+  assertDeepEqual(await drafts.getItem('post'), { title: 'Hello' });
+  assertEqual(await flags.getItem('post'), true);
+  assertDeepEqual(await store.getItem('drafts:post'), { title: 'Hello' }, 'Keys should be stored with the namespace prefix');
+  assertDeepEqual(await drafts.keys(), ['a', 'b', 'post']);
+  assertDeepEqual(await drafts.keys({ prefix: 'p' }), ['post']);
+  assertDeepEqual(await drafts.entries({ start: 'b' }), { b: 2, post: { title: 'Hello' } });
+  assertEqual(await drafts.length(), 3);
+  assertEqual(await drafts.has('global'), false);
+  
+  await drafts.clear();
+  assertEqual(await drafts.length(), 0);
+  assertEqual(await flags.getItem('post'), true, 'Other namespaces should be kept');
+  assertEqual(await store.getItem('global'), 1, 'Keys outside namespaces should be kept');
+  
+  await store.clear();
+});
+
+runner.test('namespace() should support updates, batches and nesting', async () => {
+  const store = createStore({ dbName: 'namespace-db' });
+  const counters = store.namespace('counters');
+  const daily = counters.namespace('daily');
+  
+  assertEqual(await counters.increment('visits'), 1);
+  assertEqual(await counters.increment('visits', 2), 3);
+  assertDeepEqual(await counters.append('log', 'x'), ['x']);
+  assertEqual(await daily.increment('visits'), 1);
+  assertDeepEqual((await store.keys()).sort(), ['counters:daily:visits', 'counters:log', 'counters:visits']);
+  assertDeepEqual(await daily.getMany(['visits', 'missing']), [1, null]);
+  
+  await counters.replaceAll({ visits: 10 });
+  assertDeepEqual(await counters.entries(), { visits: 10 });
+  
+  await store.setItem('other', true);
+  await counters.removeMany(['visits']);
+  assertDeepEqual(await store.keys(), ['other']);
+  
+  const pairs = [];
+  await daily.setMany([['a', 1], ['b', 2]]);
+  for await (const pair of daily.iterate({ pageSize: 1 })) {
+    pairs.push(pair);
+  }
+  assertDeepEqual(pairs, [['a', 1], ['b', 2]]);
+  
+  await store.clear();
+});
+
+runner.test('namespace() should scope change events and snapshots', async () => {
+  const store = createStore({ dbName: 'namespace-db' });
+  const drafts = store.namespace('drafts');
+  const events = [];
+  const keyEvents = [];
+  
+  const unsubscribeAll = drafts.subscribeAll(event => events.push([event.key, event.type]));
+  const unsubscribe = drafts.subscribe('post', event => keyEvents.push(event.newValue));
+  await store.setItem('post', 'outside');
+  await drafts.setItem('post', 'inside');
+  await drafts.clear();
+  unsubscribeAll();
+  unsubscribe();
+  assertDeepEqual(events, [['post', 'set'], ['post', 'clear']]);
+  assertDeepEqual(keyEvents, ['inside', null]);
+  
+  await drafts.setMany({ a: 1, b: 2 });
+  const snapshot = await drafts.exportAll();
+  assertDeepEqual(snapshot.entries.map(entry => entry.key), ['a', 'b']);
+  
+  const archive = store.namespace('archive');
+  await archive.setItem('stale', true);
+  assertEqual(await archive.importAll(snapshot, { mode: 'replace' }), 2);
+  assertDeepEqual(await archive.entries(), { a: 1, b: 2 });
+  assertEqual(await store.getItem('post'), 'outside', 'Replace should keep keys outside the namespace');
+  
+  await store.clear();
+});
+
+runner.test('namespace() should validate names', async () => {
+  for (const name of ['', 'a:b', 1]) {
+    await assertRejects(Promise.resolve().then(() => IDBH.namespace(name)), `Should reject namespace ${name}`);
+  }
+  await assertRejects(IDBH.namespace('ns').getItem(1), 'Should reject non-string key');
+});
+
+runner.test('ES module build should export the same implementation', async () => {
+  const { pathToFileURL } = require('url');
+  const esm = await import(pathToFileURL(require.resolve('../src/tiny-idb-helper.mjs')).href);
+  
+  assert(esm.default === IDBH, 'Default export should be the shared singleton');
+  assert(esm.IDBH === IDBH, 'Named IDBH export should be the shared singleton');
+  assert(esm.createStore === createStore, 'createStore should be shared');
+  assert(esm.ERROR_CODES === ERROR_CODES, 'ERROR_CODES should be shared');
+  
+  await esm.default.setItem('esm', 1);
+  assertEqual(await esm.default.increment('esm'), 2);
+  assertEqual(await IDBH.getItem('esm'), 2, 'Both builds should see the same data');
+  assertDeepEqual(await esm.default.keys(), ['esm']);
+
+  await IDBH.clear();
+});
+
+runner.test('ES module build should load as a native module without CommonJS', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { pathToFileURL } = require('url');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiny-idb-helper-'));
+
+  try {
+    // Like a browser, load both files as ES modules, without module or require
+    for (const file of [require.resolve('../src/tiny-idb-helper.js'), require.resolve('../src/tiny-idb-helper.mjs')]) {
+      fs.copyFileSync(file, path.join(dir, path.basename(file)));
+    }
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ type: 'module' }));
+    const esm = await import(pathToFileURL(path.join(dir, 'tiny-idb-helper.mjs')).href);
+
+    assert(esm.default === window.IDBH, 'Default export should be the browser global');
+    assert(esm.default !== IDBH, 'The copy should be a separate module');
+    assertEqual(typeof esm.createStore, 'function');
+    assertEqual(esm.ERROR_CODES.QUOTA_EXCEEDED, 'QUOTA_EXCEEDED');
+
+    const store = esm.createStore({ fallbacks: ['memory'] });
+    await store.setItem('key', 'value');
+    assertEqual(await store.getItem('key'), 'value');
+  } finally {
+    delete window.IDBH;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+runner.test('IndexedDB should migrate the per-key layout of the old ES module build', async () => {
+  await withIndexedDB(async (factory) => {
+    const openRaw = (upgrade) => new Promise((resolve, reject) => {
+      const request = upgrade ? factory.open('legacy-db', 1) : factory.open('legacy-db');
+      request.onupgradeneeded = () => upgrade(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    const legacy = await openRaw(db => {
+      db.createObjectStore('user').put({ data: JSON.stringify({ name: 'Ada' }) }, 'value');
+      db.createObjectStore('storage').put({ data: '42' }, 'value');
+      db.createObjectStore('missing');
+      const other = db.createObjectStore('other');
+      other.put(1, 'a');
+      other.put(2, 'b');
+    });
+    legacy.close();
+
+    // Without the option, other stores are never touched
+    const unrelated = createStore({ dbName: 'legacy-db', storeName: 'cache' });
+    assertEqual(await unrelated.getItem('user'), null);
+    await unrelated.close();
+    const untouched = await openRaw();
+    assert(untouched.objectStoreNames.contains('user'), 'Legacy stores should be kept unless asked to migrate');
+    untouched.close();
+
+    const store = createStore({ dbName: 'legacy-db', migrateLegacyLayout: true });
+    assertDeepEqual(await store.getItem('user'), { name: 'Ada' });
+    assertEqual(await store.getItem('storage'), 42, 'A key named like the store should be migrated in place');
+    assertDeepEqual(await store.keys(), ['storage', 'user']);
+    await store.close();
+
+    const migrated = await openRaw();
+    const names = Array.from(migrated.objectStoreNames);
+    const version = migrated.version;
+    migrated.close();
+    assert(!names.includes('user'), 'Legacy stores should be deleted');
+    assert(names.includes('other') && names.includes('missing'), 'Unrelated stores should be kept, empty ones too');
+
+    const reopened = createStore({ dbName: 'legacy-db', migrateLegacyLayout: true });
+    assertDeepEqual(await reopened.keys(), ['storage', 'user']);
+    await reopened.close();
+    const unchanged = await openRaw();
+    assertEqual(unchanged.version, version, 'Reopening should not upgrade again');
+    unchanged.close();
+  });
+});
+
+runner.test('migrations should run in order with the migration context', async () => {
+  const calls = [];
+  const store = createStore({
+    dbName: 'migration-db',
+    migrations: [
+      {
+        version: 1,
+        async migrate(ctx) {
+          calls.push([ctx.oldVersion, ctx.version]);
+          await ctx.setItem('userName', 'Ann');
+          await ctx.setItem('temp', true, { ttl: 60000 });
+        }
+      },
+      {
+        version: 3,
+        async migrate(ctx) {
+          calls.push([ctx.oldVersion, ctx.version]);
+          await ctx.setItem('user', { name: await ctx.getItem('userName') });
+          await ctx.removeItem('userName');
+          assertEqual(await ctx.has('temp'), true);
+          assertDeepEqual((await ctx.keys()).sort(), ['temp', 'user']);
+        }
+      }
+    ]
+  });
+  
+  assertDeepEqual(await store.getItem('user'), { name: 'Ann' });
+  assertEqual(await store.getItem('userName'), null);
+  await store.setItem('other', 1);
+  assertDeepEqual(calls, [[0, 1], [1, 3]], 'Migrations should run once, in order');
+  
+  await store.clear();
+});
+
+runner.test('failing migrations should reject with UPGRADE_FAILURE and keep data', async () => {
+  let attempts = 0;
+  const store = createStore({
+    dbName: 'failed-migration-db',
+    migrations: [
+      { version: 1, migrate: ctx => ctx.setItem('seed', 1) },
+      {
+        version: 2,
+        async migrate(ctx) {
+          attempts++;
+          await ctx.setItem('seed', 2);
+          throw new Error('boom');
+        }
+      }
+    ]
+  });
+  
+  const error = await assertRejects(store.getItem('seed'), 'Should reject when a migration fails');
+  assertEqual(error.code, ERROR_CODES.UPGRADE_FAILURE);
+  assert(error.message.includes('version 2'), 'Error should name the failed version');
+  const plainStore = createStore({ dbName: 'failed-migration-db' });
+  assertDeepEqual(await plainStore.keys(), [], 'Data should be left as before the migrations');
+  await plainStore.clear();
+  
+  await assertRejects(store.keys(), 'Should retry the migrations on the next call');
+  assertEqual(attempts, 2);
+});
+
+runner.test('migrations that call the store should fail instead of hanging', async () => {
+  const store = createStore({
+    dbName: 'store-calling-migration-db',
+    migrations: [{ version: 1, migrate: () => store.setItem('seed', 1) }]
+  });
+
+  const error = await assertRejects(store.getItem('seed'), 'Should reject when a migration awaits the store');
+  assertEqual(error.code, ERROR_CODES.UPGRADE_FAILURE);
+  assert(error.message.includes('their context'), 'Error should explain what migrations may await');
+});
+
+runner.test('configure() should validate migrations', async () => {
+  const invalidMigrations = [
+    {},
+    [{ version: 0, migrate() {} }],
+    [{ version: 1 }],
+    [{ version: 2, migrate() {} }, { version: 1, migrate() {} }],
+    [{ version: 1, migrate() {} }, { version: 1, migrate() {} }]
+  ];
+  for (const migrations of invalidMigrations) {
+    const error = await assertRejects(
+      Promise.resolve().then(() => createStore({ migrations })),
+      'Should reject invalid migrations'
+    );
+    assert(error.message.includes('Invalid configuration'));
+  }
+});
+
+runner.test('IndexedDB should run migrations in the upgrade transaction', async () => {
+  await withIndexedDB(async () => {
+    const calls = [];
+    const seed = { version: 1, migrate: ctx => ctx.setItem('count', 1) };
+    const store = createStore({ dbName: 'idb-migration-db', migrations: [seed] });
+    assertEqual(await store.getItem('count'), 1);
+    assertEqual(store.isUsingMemoryFallback(), false);
+
+    // A failing step aborts the whole upgrade, including the steps before it
+    const failing = createStore({
+      dbName: 'idb-migration-db',
+      migrations: [seed, {
+        version: 2,
+        migrate: ctx => ctx.setItem('count', 2)
+      }, {
+        version: 3,
+        async migrate(ctx) {
+          await ctx.setItem('partial', true);
+          throw new Error('boom');
+        }
+      }]
+    });
+    const error = await assertRejects(failing.getItem('count'), 'Failed migrations should reject');
+    assertEqual(error.code, ERROR_CODES.UPGRADE_FAILURE);
+
+    const upgraded = createStore({
+      dbName: 'idb-migration-db',
+      migrations: [seed, {
+        version: 2,
+        async migrate(ctx) {
+          calls.push(ctx.oldVersion);
+          await ctx.setItem('count', (await ctx.getItem('count')) + 1);
+        }
+      }]
+    });
+    assertEqual(await upgraded.getItem('count'), 2, 'Only the pending step should run');
+    assertEqual(await upgraded.getItem('partial'), null, 'Aborted upgrades should leave no writes');
+    const reopened = createStore({ dbName: 'idb-migration-db', migrations: upgraded.config.migrations });
+    assertEqual(await reopened.getItem('count'), 2);
+    assertDeepEqual(calls, [1], 'Applied steps should not run again');
+  });
+});
+
+// Minimal Web Storage implementation for the fallback chain tests
+class MockStorage {
+  constructor(quota = Infinity) {
+    this.items = new Map();
+    this.quota = quota;
+  }
+
+  get length() {
+    return this.items.size;
+  }
+
+  key(index) {
+    return Array.from(this.items.keys())[index] ?? null;
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    const items = new Map(this.items).set(key, String(value));
+    const size = Array.from(items).reduce((total, [itemKey, item]) => total + itemKey.length + item.length, 0);
+    if (size > this.quota) {
+      throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+    }
+    this.items = items;
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+runner.test('fallbacks should persist to localStorage', async () => {
+  window.localStorage = new MockStorage();
+  window.localStorage.setItem('unrelated', 'keep');
+  const migrate = () => { migrations++; };
+  let migrations = 0;
+  const options = { dbName: 'web-db', fallbacks: ['localStorage', 'memory'], migrations: [{ version: 1, migrate }] };
+  
+  try {
+    const store = createStore(options);
+    await store.setItem('user', { name: 'Ann' });
+    await store.setItem('nothing', undefined);
+    await store.setItem('session', 'abc', { ttl: 60000 });
+    await store.increment('visits');
+    assertEqual(store.getBackend(), 'localStorage');
+    assertEqual(store.isUsingMemoryFallback(), false);
+    assert(window.localStorage.getItem('tiny-idb-helper:web-db:storage:user') !== null, 'Keys should be namespaced by dbName');
+    
+    // A new instance, like after a reload, sees the same data
+    const reloaded = createStore(options);
+    assertDeepEqual(await reloaded.getItem('user'), { name: 'Ann' });
+    assertEqual(await reloaded.getItem('nothing'), undefined);
+    assertEqual(await reloaded.getItem('session'), 'abc');
+    assertDeepEqual((await reloaded.keys()).sort(), ['nothing', 'session', 'user', 'visits']);
+    assertEqual(migrations, 1, 'Migrations should run once per storage');
+    
+    const otherDb = createStore({ ...options, dbName: 'other-web-db' });
+    assertEqual(await otherDb.length(), 0, 'Databases should not share keys');
+
+    // 'a:b' + 'c' and 'a' + 'b:c' would both be named 'a:b:c:'
+    const colonDb = createStore({ dbName: 'a:b', storeName: 'c', fallbacks: ['localStorage'] });
+    const colonStore = createStore({ dbName: 'a', storeName: 'b:c', fallbacks: ['localStorage'] });
+    await colonDb.setItem('key', 1);
+    assertEqual(await colonStore.getItem('key'), null, 'Names containing colons should not collide');
+    assertDeepEqual(await colonStore.keys(), []);
+    await colonDb.clear();
+    
+    await reloaded.clear();
+    assertEqual(await store.length(), 0);
+    assertEqual(window.localStorage.getItem('unrelated'), 'keep', 'clear() should keep unrelated items');
+  } finally {
+    delete window.localStorage;
+  }
+});
+
+runner.test('quota errors should reject with QUOTA_EXCEEDED', async () => {
+  window.localStorage = new MockStorage(1000);
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const JsonFileAdapter = require('../src/json-file-adapter.js');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiny-idb-helper-'));
+  const { rename } = fs.promises;
+
+  try {
+    const store = createStore({ fallbacks: ['localStorage'] });
+    await store.setItem('small', 'fits');
+
+    const error = await assertRejects(store.setItem('large', 'x'.repeat(2000)), 'Writes over quota should reject');
+    assertEqual(error.code, ERROR_CODES.QUOTA_EXCEEDED);
+    const batchError = await assertRejects(store.setMany({ small: 'changed', large: 'x'.repeat(2000) }));
+    assertEqual(batchError.code, ERROR_CODES.QUOTA_EXCEEDED);
+    assertDeepEqual(await store.entries(), { small: 'fits' }, 'Failed writes should change nothing');
+
+    const fileStore = createStore({ fallbacks: [new JsonFileAdapter({ path: path.join(dir, 'store.json') })] });
+    fs.promises.rename = async () => {
+      throw Object.assign(new Error('no space left on device'), { code: 'ENOSPC' });
+    };
+    const diskError = await assertRejects(fileStore.setItem('key', 'value'));
+    assertEqual(diskError.code, ERROR_CODES.QUOTA_EXCEEDED);
+  } finally {
+    fs.promises.rename = rename;
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete window.localStorage;
+  }
+});
+
+runner.test('fallbacks should skip unusable backends', async () => {
+  window.localStorage = new MockStorage();
+  window.localStorage.setItem = () => {
+    throw new Error('QuotaExceededError');
+  };
+  
+  try {
+    const store = createStore({ dbName: 'web-db', fallbacks: ['localStorage', 'sessionStorage', 'memory'] });
+    await store.setItem('key', 1);
+    assertEqual(store.getBackend(), 'memory');
+    assertEqual(store.isUsingMemoryFallback(), true);
+    
+    const structured = createStore({ dbName: 'web-db', serialization: 'structured', fallbacks: ['sessionStorage', 'memory'] });
+    window.sessionStorage = new MockStorage();
+    await structured.setItem('date', new Date(0));
+    assertEqual(structured.getBackend(), 'memory', 'Web storage cannot hold structured values');
+    
+    const unavailable = createStore({ dbName: 'web-db', fallbacks: ['localStorage'] });
+    const error = await assertRejects(unavailable.getItem('key'), 'Should reject without any backend');
+    assertEqual(error.code, ERROR_CODES.NOT_SUPPORTED);
+    assertEqual(unavailable.getBackend(), null);
+  } finally {
+    delete window.localStorage;
+    delete window.sessionStorage;
+  }
+});
+
+runner.test('lifecycle events should report open, fallback and closed connections', async () => {
+  class BrokenAdapter extends MemoryAdapter {
+    async open() {
+      throw new Error('disk on fire');
+    }
+  }
+  class ClosableAdapter extends MemoryAdapter {
+    async open(context) {
+      this.context = context;
+      return super.open(context);
+    }
+  }
+  const broken = new BrokenAdapter();
+  broken.name = 'broken';
+  const adapter = new ClosableAdapter();
+  const store = createStore({ fallbacks: [broken, adapter] });
+  const events = [];
+  const unsubscribe = store.subscribeLifecycle(({ type, backend, reason, error }) =>
+    events.push([type, backend, reason || (error && error.message)]));
+  
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    await store.setItem('key', 1);
+  } finally {
+    console.warn = warn;
+  }
+  assertDeepEqual(events, [['fallback', 'broken', 'disk on fire'], ['open', 'memory', undefined]]);
+  
+  // Connections closed from outside reopen on the next call
+  adapter.context.onClose('versionchange');
+  assertEqual(store.getBackend(), null);
+  assertEqual(await store.getItem('key'), 1);
+  
+  await store.close();
+  await store.close();
+  assertEqual(store.getBackend(), null);
+  assertEqual(await store.getItem('key'), 1, 'The store should reopen after close()');
+  
+  unsubscribe();
+  await store.deleteDatabase();
+  assertDeepEqual(events.slice(2), [
+    ['closed', 'memory', 'versionchange'],
+    ['fallback', 'broken', 'disk on fire'],
+    ['open', 'memory', undefined],
+    ['closed', 'memory', 'close'],
+    ['fallback', 'broken', 'disk on fire'],
+    ['open', 'memory', undefined]
+  ]);
+});
+
+runner.test('IndexedDB connections should handle close() races, versionchange, blocking and loss', async () => {
+  await withIndexedDB(async (factory) => {
+    const adapter = new IndexedDBAdapter();
+    const store = createStore({ dbName: 'lifecycle-db', fallbacks: [adapter], maxEntries: 10 });
+    const events = [];
+    const unsubscribe = store.subscribeLifecycle(({ type, reason }) => events.push(reason ? `${type}:${reason}` : type));
+    await store.setItem('a', 1);
+
+    // Calls racing close() finish on their connection or reject with a code
+    const results = await Promise.allSettled([store.setItem('b', 2), store.getItem('a'), store.close()]);
+    for (const { status, reason } of results) {
+      assert(status === 'fulfilled' || reason.code !== undefined, `Calls should not fail with ${reason}`);
+    }
+    assertEqual(await store.getItem('a'), 1, 'The store should reopen after close()');
+
+    // Another connection upgrading the database closes ours, the next call reconnects
+    const other = await new Promise((resolve, reject) => {
+      const request = factory.open('lifecycle-db', 100);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    assertEqual(store.getBackend(), null, 'versionchange should close the connection');
+    assertEqual(await store.getItem('a'), 1);
+
+    // Connections the browser closes are reopened too
+    adapter.db.close();
+    adapter.db.onclose();
+    assertEqual(await store.getItem('a'), 1);
+
+    // Deleting waits for the other connection, which ignores versionchange
+    const deleted = store.deleteDatabase();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assertEqual(events[events.length - 1], 'blocked');
+    other.close();
+    await deleted;
+    unsubscribe();
+
+    assertDeepEqual(events, [
+      'open', 'closed:close', 'open', 'closed:versionchange', 'open', 'closed:lost', 'open', 'closed:close', 'blocked'
+    ]);
+    assertEqual(await store.getItem('a'), null, 'The database should be deleted');
+    await store.close();
+  });
+});
+
+runner.test('configure() should validate fallbacks', async () => {
+  for (const fallbacks of [[], ['disk'], ['memory', 'memory'], 'memory', [{ name: 'incomplete' }]]) {
+    const error = await assertRejects(
+      Promise.resolve().then(() => createStore({ fallbacks })),
+      'Should reject invalid fallbacks'
+    );
+    assert(error.message.includes('Invalid configuration'));
+  }
+});
+
+runner.test('memory adapter transactions should be all or nothing', async () => {
+  const adapter = new MemoryAdapter();
+  await adapter.put('b', 'B');
+  await adapter.put('a', { data: 'A', expiresAt: 1 });
+
+  const error = await assertRejects(adapter.transaction('readwrite', async (tx) => {
+    await tx.put('c', 'C');
+    await tx.delete('a');
+    assertDeepEqual(await tx.keys(), ['b', 'c'], 'Transactions should see their own writes');
+    throw new Error('abort');
+  }), 'Failing callbacks should reject');
+  assertEqual(error.message, 'abort');
+  assertDeepEqual(await adapter.keys(), ['a', 'b'], 'Failed transactions should not change anything');
+
+  const readonlyError = await assertRejects(adapter.transaction('readonly', tx => tx.put('c', 'C')));
+  assertEqual(readonlyError.code, ERROR_CODES.TRANSACTION_FAILURE);
+
+  await adapter.transaction('readwrite', async (tx) => {
+    await tx.clear();
+    await tx.put('y', 'Y');
+    await tx.put('x', 'X');
+  });
+  assertDeepEqual(await adapter.keys(), ['x', 'y']);
+  assertDeepEqual(await adapter.keys({ lower: 'x', upper: 'y', upperOpen: true }), ['x']);
+  assertEqual(await adapter.count(), 2);
+
+  const record = { data: '1' };
+  await adapter.put('copy', record);
+  record.data = '2';
+  assertEqual((await adapter.get('copy')).data, '1', 'Records should be stored as copies');
+});
+
+runner.test('fallbacks should accept storage adapters', async () => {
+  class CountingAdapter extends MemoryAdapter {
+    constructor() {
+      super();
+      this.name = 'counting';
+      this.commits = 0;
+    }
+
+    async _commit(tx) {
+      this.commits++;
+      return super._commit(tx);
+    }
+  }
+
+  const adapter = new CountingAdapter();
+  const store = createStore({ fallbacks: [adapter], migrations: [{ version: 1, migrate: ctx => ctx.setItem('seeded', true) }] });
+
+  await store.setItem('key', { value: 1 });
+  assertEqual(store.getBackend(), 'counting');
+  assertEqual(store.isUsingMemoryFallback(), false);
+  assertDeepEqual(await store.getItem('key'), { value: 1 });
+  assertEqual(await store.getItem('seeded'), true);
+  assertEqual(adapter.schemaVersion, 1);
+  assertEqual(await adapter.get('key'), '{"value":1}', 'Adapters should receive encoded records');
+
+  const commits = adapter.commits;
+  await assertRejects(store.update('key', () => {
+    throw new Error('nope');
+  }));
+  assertEqual(adapter.commits, commits, 'Failed updates should roll back');
+  assertDeepEqual(await store.getItem('key'), { value: 1 });
+
+  // Adapters that are unavailable are skipped silently
+  class UnavailableAdapter extends StorageAdapter {}
+  const fallback = createStore({ fallbacks: [new UnavailableAdapter(), 'memory'] });
+  await fallback.setItem('key', 1);
+  assertEqual(fallback.getBackend(), 'memory');
+});
+
+runner.test('JsonFileAdapter should persist stores in a JSON file', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const JsonFileAdapter = require('../src/json-file-adapter.js');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiny-idb-helper-'));
+  const file = path.join(dir, 'nested', 'store.json');
+  const migrations = [{ version: 1, migrate: ctx => ctx.setItem('seeded', true) }];
+
+  try {
+    const store = createStore({ fallbacks: [new JsonFileAdapter({ path: file })], migrations });
+    await store.setMany({ user: { name: 'Ann' }, nothing: undefined });
+    await store.setItem('session', 'abc', { ttl: 60000 });
+    assertEqual(store.getBackend(), 'json-file');
+
+    const contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assertEqual(contents.format, 'tiny-idb-helper-file');
+    assertEqual(contents.schemaVersion, 1);
+    assertEqual(contents.entries.user, '{"name":"Ann"}');
+    assertDeepEqual(fs.readdirSync(path.dirname(file)), ['store.json'], 'Temporary files should be renamed');
+
+    // A new adapter, like after a restart, sees the same data
+    let reruns = 0;
+    const reopened = createStore({
+      fallbacks: [new JsonFileAdapter({ path: file })],
+      migrations: [{ version: 1, migrate: () => { reruns++; } }]
+    });
+    assertDeepEqual(await reopened.getItem('user'), { name: 'Ann' });
+    assertEqual(await reopened.getItem('nothing'), undefined);
+    assertEqual(await reopened.getItem('session'), 'abc');
+    assertDeepEqual(await reopened.keys(), ['nothing', 'seeded', 'session', 'user']);
+    assertEqual(reruns, 0, 'Migrations should run once per file');
+
+    const structured = createStore({ serialization: 'structured', fallbacks: [new JsonFileAdapter({ path: file }), 'memory'] });
+    await structured.setItem('date', new Date(0));
+    assertEqual(structured.getBackend(), 'memory', 'JSON files cannot hold structured values');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+runner.test('JsonFileAdapter should keep the previous file when a write fails', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const JsonFileAdapter = require('../src/json-file-adapter.js');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiny-idb-helper-'));
+  const file = path.join(dir, 'store.json');
+  const { rename } = fs.promises;
+
+  try {
+    const store = createStore({ fallbacks: [new JsonFileAdapter({ path: file })] });
+    await store.setItem('key', 'old');
+    const before = fs.readFileSync(file, 'utf8');
+
+    fs.promises.rename = async () => {
+      throw new Error('disk full');
+    };
+    const error = await assertRejects(store.setMany({ key: 'new', other: 1 }), 'Failed writes should reject');
+    fs.promises.rename = rename;
+
+    assertEqual(error.code, ERROR_CODES.TRANSACTION_FAILURE);
+    assertEqual(fs.readFileSync(file, 'utf8'), before, 'The file should be unchanged');
+    assertDeepEqual(fs.readdirSync(dir), ['store.json'], 'Temporary files should be removed');
+    assertEqual(await store.getItem('key'), 'old', 'The store should be unchanged');
+    assertEqual(await store.has('other'), false);
+
+    fs.writeFileSync(file, 'not json');
+    const corrupt = createStore({ fallbacks: [new JsonFileAdapter({ path: file })] });
+    const openError = await assertRejects(corrupt.getItem('key'), 'Unreadable files should not be used');
+    assertEqual(openError.code, ERROR_CODES.NOT_SUPPORTED);
+  } finally {
+    fs.promises.rename = rename;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+runner.test('encryption should store ciphertext and decrypt on read', async () => {
+  const adapter = new MemoryAdapter();
+  const store = createStore({ fallbacks: [adapter], encryption: { key: 'correct horse battery staple' } });
+  const events = [];
+  store.subscribeAll(event => events.push(event));
+
+  await store.setItem('token', { secret: 'abc123' }, { ttl: 60000 });
+  await store.setMany({ a: 1, b: undefined });
+
+  const record = await adapter.get('token');
+  assert(!JSON.stringify(record).includes('abc123'), 'Values should not be stored in plain text');
+  assert(record.expiresAt > Date.now(), 'Expiry should stay readable');
+
+  assertDeepEqual(await store.getItem('token'), { secret: 'abc123' });
+  assertDeepEqual(await store.getMany(['a', 'b', 'missing']), [1, undefined, null]);
+  assertDeepEqual(await store.values({ prefix: 'a' }), [1]);
+  assertDeepEqual(await store.entries({ prefix: 'token' }), { token: { secret: 'abc123' } });
+  assertEqual(await store.increment('a', 2), 3);
+  assertEqual(await store.transaction(async (tx) => {
+    await tx.setItem('c', 'new');
+    return tx.increment('a');
+  }), 4);
+  assertEqual(events[events.length - 1].oldValue, 3, 'Change events should carry decrypted old values');
+
+  const snapshot = await store.exportAll();
+  assertDeepEqual(snapshot.entries.find(entry => entry.key === 'c'), { key: 'c', data: '"new"' }, 'Snapshots should be decrypted');
+
+  const wrongKey = createStore({ fallbacks: [adapter], encryption: { key: 'wrong' } });
+  const error = await assertRejects(wrongKey.getItem('token'), 'Wrong keys should not decrypt');
+  assertEqual(error.code, ERROR_CODES.DECRYPTION_FAILURE);
+  assert(await wrongKey.has('token'), 'has() should not need to decrypt');
+  const valuesError = await assertRejects(wrongKey.values(), 'values() should not return ciphertext');
+  assertEqual(valuesError.code, ERROR_CODES.DECRYPTION_FAILURE);
+  const plainError = await assertRejects(createStore({ fallbacks: [adapter] }).getItem('token'));
+  assertEqual(plainError.code, ERROR_CODES.DECRYPTION_FAILURE);
+
+  // verify() reports entries it can't decrypt and leaves them alone
+  const verified = await wrongKey.verify({ quarantine: 'corrupt' });
+  assertEqual(verified.checked, 4);
+  assertDeepEqual(verified.corrupt, []);
+  assertDeepEqual(verified.unreadable.map(({ key, code }) => [key, code]),
+    ['a', 'b', 'c', 'token'].map(key => [key, ERROR_CODES.DECRYPTION_FAILURE]));
+  assertEqual(verified.quarantined, 0);
+  assertDeepEqual(await store.getItem('token'), { secret: 'abc123' });
+});
+
+runner.test('rotateKey() should re-encrypt all entries', async () => {
+  const adapter = new MemoryAdapter();
+  const store = createStore({ fallbacks: [adapter] });
+  await store.setMany({ plain: 'text', count: 1 });
+
+  // Rotating turns encryption on for existing entries
+  assertEqual(await store.rotateKey('first passphrase'), 2);
+  assert(!JSON.stringify(await adapter.get('plain')).includes('text'), 'Entries should be encrypted');
+
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  assertEqual(await store.rotateKey(key), 2);
+  assertDeepEqual(await store.getMany(['plain', 'count']), ['text', 1]);
+
+  const reader = createStore({ fallbacks: [adapter], encryption: { key } });
+  assertEqual(await reader.getItem('plain'), 'text', 'The new key should read all entries');
+  const oldKeyError = await assertRejects(
+    createStore({ fallbacks: [adapter], encryption: { key: 'first passphrase' } }).getItem('plain'));
+  assertEqual(oldKeyError.code, ERROR_CODES.DECRYPTION_FAILURE);
+
+  // Entries the current key can't read abort the rotation
+  const stranger = createStore({ fallbacks: [adapter], encryption: { key: 'stranger' } });
+  await stranger.setItem('foreign', 'x');
+  const rotateError = await assertRejects(store.rotateKey('second passphrase'), 'Unreadable entries should abort');
+  assertEqual(rotateError.code, ERROR_CODES.DECRYPTION_FAILURE);
+  assertEqual(await reader.getItem('plain'), 'text', 'Failed rotations should leave entries untouched');
+  assertEqual(await store.getItem('count'), 1, 'Failed rotations should keep the key');
+
+  const keyError = await assertRejects(store.rotateKey(''));
+  assert(keyError.message.includes('Encryption key'), 'Should validate the key');
+});
+
+runner.test('encrypted stores should queue concurrent updates instead of retrying them', async () => {
+  const incrementAll = async (store) => {
+    const results = await Promise.all(Array.from({ length: 30 }, () => store.increment('count')));
+    assertDeepEqual(results.sort((a, b) => a - b), Array.from({ length: 30 }, (_, index) => index + 1));
+    assertEqual(await store.getItem('count'), 30);
+  };
+
+  await incrementAll(createStore({ dbName: 'queued-db', encryption: { key: 'secret' } }));
+  await withIndexedDB(async () => {
+    const store = createStore({ dbName: 'queued-db', encryption: { key: 'secret' } });
+    await incrementAll(store);
+    await store.close();
+  });
+});
+
+runner.test('passphrase stores should keep one salt across configurations', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const JsonFileAdapter = require('../src/json-file-adapter.js');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiny-idb-helper-'));
+  const saltOf = async (adapter, key) => (await adapter.get(key)).encryption.salt;
+
+  try {
+    const adapter = new MemoryAdapter();
+    await createStore({ fallbacks: [adapter], encryption: { key: 'first' } }).setItem('a', 1);
+    const store = createStore({ fallbacks: [adapter], encryption: { key: 'first' } });
+    await store.setMany({ b: 2, c: 3 });
+    const salt = await saltOf(adapter, 'a');
+    assertEqual(await saltOf(adapter, 'b'), salt, 'Every configuration should reuse the salt');
+    await store.rotateKey('second');
+    assertEqual(await saltOf(adapter, 'c'), salt, 'Rotations should keep the salt');
+
+    const file = path.join(dir, 'store.json');
+    await createStore({ fallbacks: [new JsonFileAdapter({ path: file })], encryption: { key: 'secret' } }).setItem('a', 1);
+    const reopened = new JsonFileAdapter({ path: file });
+    await createStore({ fallbacks: [reopened], encryption: { key: 'secret' } }).setItem('b', 2);
+    assertEqual(await saltOf(reopened, 'b'), await saltOf(reopened, 'a'), 'The salt should survive restarts');
+
+    window.localStorage = new MockStorage();
+    // Earlier versions stored the bare schema version
+    window.localStorage.setItem('tiny-idb-helper-meta:web-salt-db:storage', '1');
+    const webStore = createStore({
+      dbName: 'web-salt-db',
+      fallbacks: ['localStorage'],
+      encryption: { key: 'secret' },
+      migrations: [{
+        version: 1,
+        migrate: () => {
+          throw new Error('Applied migrations should not run again');
+        }
+      }]
+    });
+    await webStore.setItem('a', 1);
+    webStore.configure({ dbName: 'web-salt-db', fallbacks: ['localStorage'], encryption: { key: 'secret' } });
+    await webStore.setItem('b', 2);
+    const items = ['a', 'b'].map(key => JSON.parse(window.localStorage.getItem(`tiny-idb-helper:web-salt-db:storage:${key}`)));
+    assertEqual(items[1].record.encryption.salt, items[0].record.encryption.salt);
+    assertEqual(await webStore.getItem('a'), 1);
+
+    await withIndexedDB(async () => {
+      await createStore({ dbName: 'salt-db', encryption: { key: 'secret' } }).setItem('a', 1);
+      const idbStore = createStore({ dbName: 'salt-db', encryption: { key: 'secret' } });
+      await idbStore.setItem('b', 2);
+      const idbAdapter = idbStore.adapter;
+      assertEqual(await saltOf(idbAdapter, 'b'), await saltOf(idbAdapter, 'a'), 'IndexedDB stores should keep the salt');
+      await idbStore.close();
+    });
+  } finally {
+    delete window.localStorage;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+runner.test('configure() should validate encryption', async () => {
+  const invalid = [{}, { key: '' }, { key: 42 }, 'passphrase'];
+  for (const encryption of invalid) {
+    const error = await assertRejects(Promise.resolve().then(() => createStore({ encryption })));
+    assert(error.message.includes('encryption key'), `Should reject ${JSON.stringify(encryption)}`);
+  }
+
+  const error = await assertRejects(Promise.resolve().then(() =>
+    createStore({ serialization: 'structured', encryption: { key: 'passphrase' } })));
+  assert(error.message.includes('structured'), 'Structured values cannot be encrypted');
+});
+
+runner.test('compression should shrink large entries and report savings', async () => {
+  const adapter = new MemoryAdapter();
+  const large = { items: Array.from({ length: 200 }, (_, id) => ({ id, name: `item ${id}` })) };
+  await createStore({ fallbacks: [adapter] }).setItem('old', large);
+
+  const store = createStore({ fallbacks: [adapter], compression: { threshold: 256 } });
+  await store.setItem('large', large);
+  await store.setItem('small', 'tiny');
+
+  const record = await adapter.get('large');
+  assertEqual(record.compression.format, 'gzip');
+  assert(record.compression.compressedSize < record.compression.size, 'Entries should be stored compressed');
+  assertEqual(typeof await adapter.get('small'), 'string', 'Entries below the threshold should stay plain');
+
+  assertDeepEqual(await store.getItem('large'), large);
+  assertDeepEqual(await store.getItem('old'), large, 'Uncompressed entries should stay readable');
+  assertEqual((await store.values({ prefix: 'large' }))[0].items.length, 200);
+  assertEqual(await store.update('large', value => value.items.length), 200);
+  await store.setItem('large', large);
+  assertDeepEqual(await createStore({ fallbacks: [adapter] }).getItem('large'), large,
+    'Compressed entries should be readable without the option');
+  assertDeepEqual((await store.exportAll()).entries.find(entry => entry.key === 'large').data, JSON.stringify(large));
+
+  const stats = await store.getCompressionStats();
+  assertEqual(stats.entries, 3);
+  assertEqual(stats.compressedEntries, 1);
+  assertEqual(stats.savedBytes, stats.originalBytes - stats.compressedBytes);
+  assert(stats.savedBytes > 0, 'Savings should be reported');
+
+  const textAdapter = new MemoryAdapter();
+  textAdapter.textOnly = true;
+  const textStore = createStore({ fallbacks: [textAdapter], compression: { threshold: 0 } });
+  await textStore.setItem('large', large);
+  assertEqual(typeof (await textAdapter.get('large')).data, 'string', 'Text-only adapters should get base64');
+  assertDeepEqual(await textStore.getItem('large'), large);
+
+  for (const compression of [{ threshold: -1 }, { threshold: '1' }, 'gzip']) {
+    const error = await assertRejects(Promise.resolve().then(() => createStore({ compression })));
+    assert(error.message.includes('compression'), `Should reject ${JSON.stringify(compression)}`);
+  }
+});
+
+runner.test('atomic updates should read compressed entries without the compression option', async () => {
+  const check = async (options) => {
+    await createStore({ ...options, compression: { threshold: 0 } }).setItem('list', ['a'.repeat(100)]);
+
+    const store = createStore(options);
+    assertEqual((await store.append('list', 1)).length, 2);
+    assertEqual((await store.transaction(tx => tx.getItem('list'))).length, 2);
+    await store.transaction(tx => tx.setItem('other', 'plain'));
+    assertEqual(await store.getItem('other'), 'plain');
+  };
+
+  await check({ fallbacks: [new MemoryAdapter()] });
+  await withIndexedDB(async () => {
+    await check({ dbName: 'formerly-compressed-db' });
+  });
+});
+
+runner.test('compressed stores should only update optimistically when writing values to compress', async () => {
+  let transactions = 0;
+  class CountingAdapter extends MemoryAdapter {
+    transaction(mode, callback) {
+      transactions++;
+      return super.transaction(mode, callback);
+    }
+  }
+  const store = createStore({ fallbacks: [new CountingAdapter()], compression: { threshold: 256 } });
+  await store.setItem('count', 1);
+
+  transactions = 0;
+  assertEqual(await store.increment('count'), 2);
+  assertEqual(transactions, 1, 'Small values should be updated in a single transaction');
+  assertEqual((await store.update('list', () => ['a'.repeat(300)]))[0].length, 300);
+  assert(transactions > 2, 'Values to compress should be written optimistically');
+
+  await withIndexedDB(async () => {
+    const idbStore = createStore({ dbName: 'compressed-update-db', compression: { threshold: 256 } });
+    assertEqual(await idbStore.increment('count'), 1);
+    await idbStore.transaction(tx => tx.setItem('list', ['a'.repeat(300)]));
+    assertEqual((await idbStore.getItem('list'))[0].length, 300);
+    await idbStore.close();
+  });
+});
+
+// Test parameter validation
+runner.test('should validate key parameter types', async () => {
+  const error1 = await assertRejects(
+    IDBH.getItem(123),
+    'Should reject non-string key in getItem'
+  );
+  assert(error1.message.includes('Key must be a string'));
+
+  const error2 = await assertRejects(
+    IDBH.setItem(123, 'value'),
+    'Should reject non-string key in setItem'
+  );
+  assert(error2.message.includes('Key must be a string'));
+});
+
+// Test fallback mode detection
+runner.test('should detect memory fallback mode', async () => {
+  // Since we mocked IndexedDB as null, it should use memory fallback
+  assert(IDBH.isUsingMemoryFallback(), 'Should be using memory fallback');
+  assertEqual(IDBH.getBackend(), 'memory');
+});
+
+// Test clear functionality
+runner.test('clear() should remove all data', async () => {
+  await IDBH.setItem('key1', 'value1');
+  await IDBH.setItem('key2', 'value2');
+  
+  assertEqual(await IDBH.length(), 2);
+  
+  await IDBH.clear();
+  
+  assertEqual(await IDBH.length(), 0);
+  assertEqual(await IDBH.getItem('key1'), null);
+  assertEqual(await IDBH.getItem('key2'), null);
+});
+
+// Test edge cases
+runner.test('should handle null and undefined values', async () => {
+  await IDBH.setItem('null-key', null);
+  await IDBH.setItem('undefined-key', undefined);
+  
+  assertEqual(await IDBH.getItem('null-key'), null);
+  assertEqual(await IDBH.getItem('undefined-key'), undefined);
+  
+  await IDBH.clear();
+});
+
+runner.test('should handle empty strings and objects', async () => {
+  await IDBH.setItem('empty-string', '');
+  await IDBH.setItem('empty-object', {});
+  await IDBH.setItem('empty-array', []);
+  
+  assertEqual(await IDBH.getItem('empty-string'), '');
+  assertDeepEqual(await IDBH.getItem('empty-object'), {});
+  assertDeepEqual(await IDBH.getItem('empty-array'), []);
+  
+  await IDBH.clear();
+});
+
+// Test error handling for invalid JSON
+runner.test('should handle circular references gracefully', async () => {
+  const circularObj = { name: 'test' };
+  circularObj.self = circularObj; // Create circular reference
+  
+  const error = await assertRejects(
+    IDBH.setItem('circular', circularObj),
+    'Should reject circular references'
+  );
+  assert(error.message.includes('JSON'));
+});
+
+// Test reconfiguration
+runner.test('should handle reconfiguration', async () => {
+  // Set initial data
+  IDBH.configure({ dbName: 'db1' });
+  await IDBH.setItem('key1', 'value1');
+  
+  // Reconfigure with different database
+  IDBH.configure({ dbName: 'db2' });
+  await IDBH.setItem('key2', 'value2');
+  
+  // Should not see key1 in new database
+  assertEqual(await IDBH.getItem('key1'), null);
+  assertEqual(await IDBH.getItem('key2'), 'value2');
+  
+  await IDBH.clear();
+});
+
+// Test independent store instances
+runner.test('createStore() should return isolated instances', async () => {
+  const settings = createStore({ dbName: 'test-db', storeName: 'settings' });
+  const cache = createStore({ dbName: 'test-db', storeName: 'cache' });
+
+  await settings.setItem('theme', 'dark');
+  await cache.setItem('theme', 'cached');
+  await IDBH.setItem('theme', 'default');
+
+  assertEqual(await settings.getItem('theme'), 'dark');
+  assertEqual(await cache.getItem('theme'), 'cached');
+  assertEqual(await IDBH.getItem('theme'), 'default');
+
+  await cache.clear();
+  assertEqual(await settings.getItem('theme'), 'dark');
+  assertEqual(await cache.length(), 0);
+
+  await settings.clear();
+  await IDBH.clear();
+});
+
+runner.test('configure() on one store should not affect other stores', async () => {
+  const store = createStore({ dbName: 'isolated-db' });
+  await store.setItem('key', 'value');
+
+  IDBH.configure({ dbName: 'other-db' });
+  assertEqual(await store.getItem('key'), 'value');
+  assertEqual(store.config.dbName, 'isolated-db');
+  assertEqual(store.config.storeName, 'storage');
+
+  await store.clear();
+});
+
+runner.test('createStore() should validate options', async () => {
+  const error = await assertRejects(
+    Promise.resolve().then(() => createStore({ storeName: '' })),
+    'Should reject empty storeName'
+  );
+  assert(error.message.includes('Invalid configuration'));
 });
 
 // Run all tests